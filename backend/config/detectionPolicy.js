@@ -0,0 +1,128 @@
+/**
+ * Detection policy the candidate client applies during a session. The defaults
+ * below are used for anything an exam doesn't set; exams override them through
+ * their thresholds, object lists and objectSeverities.
+ */
+const DEFAULT_DETECTION_POLICY = {
+  intervals: {
+    detectionMs: 1000,
+    // Minimum time between evidence snapshots for the same violation type
+    screenshotCooldownMs: 10000
+  },
+  face: {
+    scoreThreshold: 0.5,
+    // Face box area as a share of the frame; outside this range the candidate is asked to move
+    minFaceRatio: 0.1,
+    maxFaceRatio: 0.3
+  },
+  // Continuous conditions are reported once per episode: after they have lasted minDurationMs,
+  // ending once they have been gone for more than graceMs
+  episodes: {
+    minDurationMs: 2000,
+    graceMs: 1500
+  },
+  // The live face is compared with the candidate's enrollment every checkIntervalMs
+  identity: {
+    matchDistance: 0.6,
+    checkIntervalMs: 30000
+  },
+  headPose: {
+    maxYawDegrees: 30,
+    maxPitchDegrees: 25,
+    lookingAwaySeconds: 3
+  },
+  objects: {
+    scoreThreshold: 0.5,
+    forbidden: { classes: ['cell phone', 'book', 'laptop'], severity: 'error' },
+    suspicious: { classes: ['mouse', 'keyboard'], severity: 'warning' }
+  },
+  // Microphone monitoring (off unless the exam enables it). Speech is sound marginDb above the
+  // background level lasting at least minDurationMs; it is sustained from sustainedSpeechSeconds
+  audio: {
+    enabled: false,
+    marginDb: 15,
+    minDurationMs: 800,
+    sustainedSpeechSeconds: 5
+  },
+  // Screen sharing (off unless the exam requires it); a thumbnail is kept every thumbnailIntervalMs
+  screen: {
+    enabled: false,
+    thumbnailIntervalMs: 60000
+  },
+  // Pre-exam 360° room scan; candidates may skip it unless it is required
+  roomScan: {
+    required: false,
+    durationSeconds: 20
+  }
+};
+
+const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+
+/**
+ * Build the detection policy for an exam
+ * @param {object} [exam] - Exam document; defaults are returned without one
+ * @returns {object} Same shape as DEFAULT_DETECTION_POLICY
+ */
+function buildDetectionPolicy(exam) {
+  const defaults = DEFAULT_DETECTION_POLICY;
+  const thresholds = exam?.thresholds || {};
+  const severities = exam?.objectSeverities || {};
+  // Allowed objects win over both lists so an exam can permit e.g. a book
+  const allowed = new Set(exam?.allowedObjects || []);
+  const classes = (list, fallback) => pick(list, fallback).filter(name => !allowed.has(name));
+
+  return {
+    intervals: {
+      detectionMs: pick(thresholds.detectionIntervalMs, defaults.intervals.detectionMs),
+      screenshotCooldownMs: pick(thresholds.screenshotCooldownMs, defaults.intervals.screenshotCooldownMs)
+    },
+    face: {
+      scoreThreshold: pick(thresholds.faceDetectionScore, defaults.face.scoreThreshold),
+      minFaceRatio: pick(thresholds.minFaceRatio, defaults.face.minFaceRatio),
+      maxFaceRatio: pick(thresholds.maxFaceRatio, defaults.face.maxFaceRatio)
+    },
+    episodes: {
+      minDurationMs: pick(thresholds.episodeMinDurationMs, defaults.episodes.minDurationMs),
+      graceMs: pick(thresholds.episodeGraceMs, defaults.episodes.graceMs)
+    },
+    identity: {
+      matchDistance: pick(thresholds.faceMatchDistance, defaults.identity.matchDistance),
+      checkIntervalMs: pick(thresholds.identityCheckIntervalMs, defaults.identity.checkIntervalMs)
+    },
+    headPose: {
+      maxYawDegrees: pick(thresholds.maxYawDegrees, defaults.headPose.maxYawDegrees),
+      maxPitchDegrees: pick(thresholds.maxPitchDegrees, defaults.headPose.maxPitchDegrees),
+      lookingAwaySeconds: pick(thresholds.lookingAwaySeconds, defaults.headPose.lookingAwaySeconds)
+    },
+    objects: {
+      scoreThreshold: pick(thresholds.objectDetectionScore, defaults.objects.scoreThreshold),
+      forbidden: {
+        classes: classes(exam?.forbiddenObjects, defaults.objects.forbidden.classes),
+        severity: pick(severities.forbidden, defaults.objects.forbidden.severity)
+      },
+      suspicious: {
+        classes: classes(exam?.suspiciousObjects, defaults.objects.suspicious.classes),
+        severity: pick(severities.suspicious, defaults.objects.suspicious.severity)
+      }
+    },
+    audio: {
+      enabled: pick(exam?.monitorAudio, defaults.audio.enabled),
+      marginDb: pick(thresholds.speechMarginDb, defaults.audio.marginDb),
+      minDurationMs: pick(thresholds.speechMinDurationMs, defaults.audio.minDurationMs),
+      sustainedSpeechSeconds: pick(thresholds.sustainedSpeechSeconds, defaults.audio.sustainedSpeechSeconds)
+    },
+    screen: {
+      enabled: pick(exam?.requireScreenShare, defaults.screen.enabled),
+      thumbnailIntervalMs: pick(thresholds.screenThumbnailIntervalMs, defaults.screen.thumbnailIntervalMs)
+    },
+    roomScan: {
+      required: pick(exam?.requireRoomScan, defaults.roomScan.required),
+      durationSeconds: pick(thresholds.roomScanSeconds, defaults.roomScan.durationSeconds)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DETECTION_POLICY,
+  buildDetectionPolicy
+};
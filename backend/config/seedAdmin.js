@@ -0,0 +1,27 @@
+const User = require('../models/User');
+
+/**
+ * Create the initial admin account from ADMIN_EMAIL / ADMIN_PASSWORD
+ * when no admin exists yet. Further accounts are managed through the API.
+ */
+const seedAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+  try {
+    const existing = await User.exists({ role: 'admin' });
+    if (existing) return;
+
+    await User.create({
+      email: ADMIN_EMAIL,
+      name: ADMIN_NAME || 'Administrator',
+      role: 'admin',
+      passwordHash: await User.hashPassword(ADMIN_PASSWORD)
+    });
+    console.log(`Initial admin account created: ${ADMIN_EMAIL}`);
+  } catch (error) {
+    console.error(`Error creating admin account: ${error.message}`);
+  }
+};
+
+module.exports = seedAdmin;
@@ -2,20 +2,29 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const connectDB = require('./config/db');
+const seedAdmin = require('./config/seedAdmin');
+const authRoutes = require('./routes/authRoutes');
 const sessionRoutes = require('./routes/sessionRoutes');
 const eventRoutes = require('./routes/eventRoutes');
+const examRoutes = require('./routes/examRoutes');
+const evidenceRoutes = require('./routes/evidenceRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const { initRealtime } = require('./services/realtime');
+const { startSessionSweeper } = require('./services/sessionSweeper');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, make sure an admin account exists and start closing abandoned sessions
+connectDB().then(seedAdmin).then(startSessionSweeper);
 
 // CORS configuration
+// Auth cookies are sent cross-origin, so only the origins listed in CORS_ORIGIN may call the API
+// (the Vite dev server by default; in production the frontend is served from this origin)
 const corsOptions = {
-  origin: '*', // Allow all origins for now
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  origin: (process.env.CORS_ORIGIN || 'http://localhost:5173').split(',').map(origin => origin.trim()).filter(Boolean),
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Content-Length', 'X-Requested-With'],
   credentials: true
 };
@@ -23,7 +32,8 @@ const corsOptions = {
 // Middleware
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions)); // Enable preflight for all routes
-app.use(express.json());
+// Events may carry base64 screenshots, so allow larger bodies than the 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Log all requests for debugging
 app.use((req, res, next) => {
@@ -32,8 +42,12 @@ app.use((req, res, next) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/session', sessionRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/evidence', evidenceRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -56,6 +70,9 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
 });
 
+// Real-time channel for interviewer dashboards
+initRealtime(server);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error(`Error: ${err.message}`);
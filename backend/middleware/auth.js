@@ -0,0 +1,228 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'development-only-secret';
+const AUTH_TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+const SESSION_TOKEN_TTL = process.env.SESSION_TOKEN_TTL || '6h';
+const AUTH_COOKIE = 'token';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('Error: JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
+/**
+ * Issue an account token after login
+ * @param {object} user - User document
+ * @returns {string}
+ */
+function signAuthToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, name: user.name, scope: 'account' },
+    JWT_SECRET,
+    { expiresIn: AUTH_TOKEN_TTL }
+  );
+}
+
+/**
+ * Issue a token that only grants access to a single proctoring session
+ * @param {object} user - Authenticated user ({ id, role, name })
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function signSessionToken(user, sessionId) {
+  return jwt.sign(
+    { sub: user.id, role: user.role, name: user.name, scope: 'session', sessionId },
+    JWT_SECRET,
+    { expiresIn: SESSION_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a token and map its claims to the shape stored on req.user
+ * @param {string} token
+ * @returns {{ id: string, role: string, name: string, scope: string, sessionId?: string }}
+ */
+function verifyToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  return {
+    id: payload.sub,
+    role: payload.role,
+    name: payload.name,
+    scope: payload.scope,
+    sessionId: payload.sessionId
+  };
+}
+
+/**
+ * Verify a token and check its account on every use: a deactivated account is refused, and
+ * the role and name come from the account, so changes apply to tokens issued before them
+ * @param {string} token
+ * @returns {Promise<object|null>} The caller (shape of verifyToken()), or null if the token or account isn't valid
+ */
+async function resolveUser(token) {
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const account = await User.findById(claims.id).select('role name active').lean();
+    if (!account || !account.active) return null;
+    return { ...claims, role: account.role, name: account.name };
+  } catch (error) {
+    // A token whose subject isn't an account ID
+    if (error.name === 'CastError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Parse a Cookie header. A value that isn't valid percent-encoding is skipped rather than
+ * failing the request, so a malformed cookie reads as no cookie.
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // URIError: leave this cookie out
+      }
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Read a token from the Authorization header, falling back to the auth cookie
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+  return parseCookies(req.headers.cookie)[AUTH_COOKIE] || null;
+}
+
+function setAuthCookie(res, token) {
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 12 * 60 * 60 * 1000
+  });
+}
+
+function clearAuthCookie(res) {
+  res.clearCookie(AUTH_COOKIE);
+}
+
+// Require a valid token of an active account and attach the caller to req.user
+async function authenticate(req, res, next) {
+  let user;
+  try {
+    const token = tokenFromRequest(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+    user = await resolveUser(token);
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+  req.user = user;
+  next();
+}
+
+// Attach req.user when a valid token is present, but never reject the request
+async function optionalAuth(req, res, next) {
+  req.user = null;
+  try {
+    const token = tokenFromRequest(req);
+    if (token) req.user = await resolveUser(token);
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+  }
+  next();
+}
+
+/**
+ * Only allow callers with one of the given roles
+ * @param {...string} roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Proctors and admins may access any session; candidates only the session
+ * their session token was issued for
+ * @param {function} getSessionId - Extracts the target sessionId from the request
+ */
+function requireSessionAccess(getSessionId) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (req.user.role === 'proctor' || req.user.role === 'admin') {
+      return next();
+    }
+
+    const sessionId = getSessionId(req);
+    if (req.user.scope !== 'session' || !sessionId || req.user.sessionId !== sessionId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized for this session'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  signAuthToken,
+  signSessionToken,
+  verifyToken,
+  resolveUser,
+  tokenFromRequest,
+  setAuthCookie,
+  clearAuthCookie,
+  authenticate,
+  optionalAuth,
+  requireRole,
+  requireSessionAccess
+};
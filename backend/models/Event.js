@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+// A continuous condition (e.g. no face for 30 seconds) stored as one record. The client sends
+// an 'open' event when the episode starts and a 'closed' one when it ends; the server merges them.
+const EpisodeSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  startedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  // Seconds
+  duration: {
+    type: Number,
+    min: 0
+  },
+  peakConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  }
+}, { _id: false });
+
 const EventSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -12,18 +42,32 @@ const EventSchema = new mongoose.Schema({
     enum: [
       // Session events
       'session_start', 'session_end', 'session_pause', 'session_resume',
+      // Pre-exam room scan frames
+      'room_scan',
       // Face detection events
-      'no_face', 'multiple_faces', 'face_detected', 'face_lost',
+      'no_face', 'multiple_faces', 'face_detected', 'face_lost', 'looking_away', 'face_mismatch',
       // Object detection events
       'suspicious_object', 'forbidden_object',
       // System events
       'error', 'warning', 'info',
       // User action events
       'tab_switch', 'window_resize', 'copy_paste', 'print_screen',
+      // Browser lockdown events
+      'focus_loss', 'context_menu', 'devtools_open', 'fullscreen_exit',
+      // Audio monitoring events
+      'speech_detected', 'sustained_speech', 'multiple_voices',
+      // Screen sharing events
+      'screen_share_started', 'screen_share_stopped', 'partial_screen_share', 'multiple_displays', 'screen_capture',
+      // Proctor actions
+      'proctor_intervention',
       // Custom events
       'custom'
     ]
   },
+  // Idempotency key generated by the client so retried uploads aren't stored twice
+  clientEventId: {
+    type: String
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -36,7 +80,7 @@ const EventSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['system', 'face_detection', 'object_detection', 'user_action', 'api','frontend'],
+    enum: ['system', 'face_detection', 'object_detection', 'audio_detection', 'user_action', 'api','frontend'],
     default: 'system',
     required: true
   },
@@ -51,7 +95,28 @@ const EventSchema = new mongoose.Schema({
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
+  },
+  episode: {
+    type: EpisodeSchema,
+    default: undefined
   }
 });
 
+// One document per client-supplied event ID within a session; events without an ID aren't deduplicated
+EventSchema.index(
+  { sessionId: 1, clientEventId: 1 },
+  { unique: true, partialFilterExpression: { clientEventId: { $type: 'string' } } }
+);
+
+// One record per episode within a session
+EventSchema.index(
+  { sessionId: 1, 'episode.id': 1 },
+  { unique: true, partialFilterExpression: { 'episode.id': { $type: 'string' } } }
+);
+
+// Sources and types only the server records (lifecycle changes, proctor actions); events
+// logged by clients can't claim them
+EventSchema.statics.SERVER_SOURCES = ['system', 'api'];
+EventSchema.statics.SERVER_TYPES = ['session_end', 'session_pause', 'session_resume', 'proctor_intervention'];
+
 module.exports = mongoose.model('Event', EventSchema);
@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+
+// Detection parameters the candidate client applies during this exam
+const ThresholdsSchema = new mongoose.Schema({
+  faceDetectionScore: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  },
+  minFaceRatio: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.1
+  },
+  maxFaceRatio: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.3
+  },
+  objectDetectionScore: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  },
+  detectionIntervalMs: {
+    type: Number,
+    min: 250,
+    default: 1000
+  },
+  screenshotCooldownMs: {
+    type: Number,
+    min: 0,
+    default: 10000
+  },
+  // A continuous condition is logged once it lasts this long, as one episode
+  episodeMinDurationMs: {
+    type: Number,
+    min: 0,
+    default: 2000
+  },
+  // How long a condition may disappear without ending its episode
+  episodeGraceMs: {
+    type: Number,
+    min: 0,
+    default: 1500
+  },
+  // Largest descriptor distance at which the live face still counts as the enrolled candidate
+  faceMatchDistance: {
+    type: Number,
+    min: 0,
+    max: 2,
+    default: 0.6
+  },
+  identityCheckIntervalMs: {
+    type: Number,
+    min: 5000,
+    default: 30000
+  },
+  // Head pose limits and how long the candidate may look away before it is logged
+  maxYawDegrees: {
+    type: Number,
+    min: 0,
+    max: 90,
+    default: 30
+  },
+  maxPitchDegrees: {
+    type: Number,
+    min: 0,
+    max: 90,
+    default: 25
+  },
+  lookingAwaySeconds: {
+    type: Number,
+    min: 0,
+    default: 3
+  },
+  // Microphone monitoring: how far above the room's background level counts as speech,
+  // the shortest speech that is logged and when it becomes sustained
+  speechMarginDb: {
+    type: Number,
+    min: 3,
+    max: 60,
+    default: 15
+  },
+  speechMinDurationMs: {
+    type: Number,
+    min: 0,
+    default: 800
+  },
+  sustainedSpeechSeconds: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  // How often a thumbnail of the shared screen is kept as evidence
+  screenThumbnailIntervalMs: {
+    type: Number,
+    min: 5000,
+    default: 60000
+  },
+  // Length of the pre-exam 360° room scan
+  roomScanSeconds: {
+    type: Number,
+    min: 5,
+    max: 120,
+    default: 20
+  }
+}, { _id: false });
+
+// Shown to candidates before monitoring starts; they must accept this version to start a session
+const DEFAULT_CONSENT_TEXT = [
+  'This exam is remotely proctored. While your session runs, your webcam is recorded and analyzed',
+  'to detect faces, gaze and objects, and flagged moments are saved as screenshots. Depending on the',
+  'exam, your microphone is analyzed on your device and your screen is shared. The recording, events',
+  'and screenshots are stored with your session and are reviewed by proctors and administrators of',
+  'this exam to assess its integrity.'
+].join(' ');
+
+// Change the version whenever the text changes, so acceptances of the old text can be told apart
+const ConsentNoticeSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    trim: true,
+    default: '1'
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    default: DEFAULT_CONSENT_TEXT
+  }
+}, { _id: false });
+
+// Event severity logged for each object list
+const ObjectSeveritiesSchema = new mongoose.Schema({
+  forbidden: {
+    type: String,
+    enum: ['info', 'warning', 'error', 'critical'],
+    default: 'error'
+  },
+  suspicious: {
+    type: String,
+    enum: ['info', 'warning', 'error', 'critical'],
+    default: 'warning'
+  }
+}, { _id: false });
+
+// Terminate a session once it has logged this many events of one type
+const TerminationRuleSchema = new mongoose.Schema({
+  eventType: {
+    type: String,
+    required: true
+  },
+  maxOccurrences: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const ExamSchema = new mongoose.Schema({
+  examId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  allowedObjects: {
+    type: [String],
+    default: []
+  },
+  forbiddenObjects: {
+    type: [String],
+    default: ['cell phone', 'book', 'laptop']
+  },
+  // Logged as suspicious_object rather than forbidden_object
+  suspiciousObjects: {
+    type: [String],
+    default: ['mouse', 'keyboard']
+  },
+  objectSeverities: {
+    type: ObjectSeveritiesSchema,
+    default: () => ({})
+  },
+  // Candidates must stay in fullscreen; leaving it is logged as an error
+  requireFullscreen: {
+    type: Boolean,
+    default: false
+  },
+  // Candidates must be enrolled and match their enrollment photo to start a session
+  requireIdentityVerification: {
+    type: Boolean,
+    default: false
+  },
+  // Listen to the candidate's microphone for speech and multiple voices (processed locally)
+  monitorAudio: {
+    type: Boolean,
+    default: false
+  },
+  // Candidates must complete the 360° room scan of the pre-exam check (otherwise it is optional)
+  requireRoomScan: {
+    type: Boolean,
+    default: false
+  },
+  // Candidates must share their entire screen; thumbnails are kept as evidence
+  requireScreenShare: {
+    type: Boolean,
+    default: false
+  },
+  consentNotice: {
+    type: ConsentNoticeSchema,
+    default: () => ({})
+  },
+  thresholds: {
+    type: ThresholdsSchema,
+    default: () => ({})
+  },
+  terminationRules: {
+    type: [TerminationRuleSchema],
+    default: []
+  },
+  // Overrides for the integrity score: typeWeights, durationWeights,
+  // severityMultipliers, riskThresholds, mergeGapSeconds (see services/integrityScore.js)
+  scoring: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ExamSchema.path('endsAt').validate(function (endsAt) {
+  return !this.startsAt || endsAt > this.startsAt;
+}, 'Exam window must end after it starts');
+
+/**
+ * Where the current time falls relative to the scheduled window
+ * @param {Date} [now]
+ * @returns {'upcoming'|'open'|'closed'}
+ */
+ExamSchema.methods.windowStatus = function (now = new Date()) {
+  if (now < this.startsAt) return 'upcoming';
+  if (now > this.endsAt) return 'closed';
+  return 'open';
+};
+
+/**
+ * What a candidate needs to know before and during the exam. Detection thresholds, object lists,
+ * termination rules and scoring stay with proctors (the client gets its detection policy separately).
+ * @returns {object}
+ */
+ExamSchema.methods.candidateView = function () {
+  return {
+    examId: this.examId,
+    title: this.title,
+    description: this.description,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    durationMinutes: this.durationMinutes,
+    windowStatus: this.windowStatus(),
+    requireFullscreen: this.requireFullscreen,
+    requireIdentityVerification: this.requireIdentityVerification,
+    monitorAudio: this.monitorAudio,
+    requireScreenShare: this.requireScreenShare,
+    requireRoomScan: this.requireRoomScan,
+    consentNotice: this.consentNotice && { version: this.consentNotice.version, text: this.consentNotice.text }
+  };
+};
+
+module.exports = mongoose.model('Exam', ExamSchema);
@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+// One chunk of a recording segment; the file lives in the evidence store
+const RecordingChunkSchema = new mongoose.Schema({
+  index: { type: Number, required: true, min: 0 },
+  size: { type: Number, required: true }, // in bytes
+  recordedAt: Date // client time the chunk was emitted, i.e. the end of its footage
+}, { _id: false });
+
+// One continuous MediaRecorder run; a new segment starts after a pause or a reload
+const RecordingSegmentSchema = new mongoose.Schema({
+  segmentId: { type: String, required: true },
+  mimeType: { type: String, default: 'video/webm' },
+  startedAt: { type: Date, required: true }, // client clock, same as Event.timestamp
+  endedAt: Date,
+  size: { type: Number, default: 0 }, // in bytes
+  chunks: [RecordingChunkSchema]
+}, { _id: false });
+
 const SessionSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -11,22 +28,48 @@ const SessionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   examId: {
     type: String,
-    default: 'default-exam'
+    required: true,
+    index: true
   },
   startTime: {
     type: Date,
-    default: Date.now
+    default: Date.now,
+    index: true
   },
   endTime: {
     type: Date
   },
   status: {
     type: String,
-    enum: ['active', 'completed', 'terminated', 'error'],
+    enum: ['active', 'paused', 'completed', 'terminated', 'abandoned', 'error'],
     default: 'active'
   },
+  // Last heartbeat or event from the candidate; the sweeper abandons sessions idle for too long
+  lastActivity: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // Set while paused; resuming adds the elapsed time to pausedDuration
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  pausedDuration: {
+    type: Number, // in seconds
+    default: 0
+  },
+  // The exam's durationMinutes when the session started; paused time doesn't count against it
+  timeLimitSeconds: {
+    type: Number
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -36,8 +79,39 @@ const SessionSchema = new mongoose.Schema({
     ref: 'Event'
   }],
   duration: {
-    type: Number, // in seconds
+    type: Number, // in seconds, excluding paused time
     default: 0
+  },
+  // Live face compared with the candidate's enrollment when the session started
+  identity: {
+    verified: Boolean,
+    distance: Number,
+    reason: String, // 'missing_capture' when an enrolled candidate sent no live face to compare
+    checkedAt: Date
+  },
+  // The candidate's acceptance of the exam's privacy notice, given before monitoring started
+  consent: {
+    accepted: Boolean,
+    version: String, // Exam.consentNotice.version that was shown
+    acceptedAt: Date, // client clock, when the candidate accepted
+    recordedAt: Date
+  },
+  // Webcam recording uploaded in chunks while the session runs
+  recording: {
+    segments: {
+      type: [RecordingSegmentSchema],
+      default: []
+    }
+  },
+  integrity: {
+    score: Number, // 0-100, higher is better
+    riskLevel: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    breakdown: mongoose.Schema.Types.Mixed, // per event type: incidents, events, durationSeconds, penalty
+    eventCount: Number,
+    computedAt: Date
   }
 });
 
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['candidate', 'proctor', 'admin'];
+
+// Reference face descriptors captured at enrollment (biometric data, so never selected by default)
+const FaceEnrollmentSchema = new mongoose.Schema({
+  descriptors: {
+    type: [[Number]],
+    default: []
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const UserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'candidate'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  faceEnrollment: {
+    type: FaceEnrollmentSchema,
+    select: false
+  }
+});
+
+UserSchema.statics.ROLES = ROLES;
+
+/**
+ * Hash a plain-text password for storage
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+UserSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, 10);
+};
+
+/**
+ * Compare a plain-text password with the stored hash
+ * (the document must be loaded with `.select('+passwordHash')`)
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+UserSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.faceEnrollment;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const Exam = require('../models/Exam');
+const { buildSessionFilter } = require('../services/sessionSearch');
+const { examOverview, objectClasses, violationTimeline, scoreDistribution } = require('../services/analytics');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Analytics are for proctors and admins only
+router.use(authenticate, requireRole('proctor', 'admin'));
+
+/**
+ * Wrap an analytics handler: checks the exam exists and builds the session filter
+ * from the shared status/candidateName/startDate/endDate query parameters
+ * @param {string} label - Used in error messages
+ * @param {function} compute - (sessionFilter, req) => Promise<object> merged into the response
+ */
+const examAnalytics = (label, compute) => async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const exam = await Exam.exists({ examId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    const sessionFilter = buildSessionFilter({ ...req.query, examId }, {});
+    const result = await compute(sessionFilter, req);
+    res.json({ success: true, examId, ...result });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`Error computing ${label}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to compute ${label}`,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Parse an integer query parameter within bounds
+ * @throws {Error} with status 400 if it is out of range
+ */
+const intParam = (value, { name, min, max, fallback, allowed }) => {
+  if (value === undefined) return fallback;
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < min || number > max || (allowed && !allowed.includes(number))) {
+    const error = new Error(allowed
+      ? `${name} must be one of: ${allowed.join(', ')}`
+      : `${name} must be between ${min} and ${max}`);
+    error.status = 400;
+    throw error;
+  }
+  return number;
+};
+
+// Sessions per status, average score, and how many sessions had each event type
+router.get('/exams/:examId/overview', examAnalytics('exam overview', async (sessionFilter) => ({
+  overview: await examOverview(sessionFilter)
+})));
+
+// Most common detected object classes (?limit=10)
+router.get('/exams/:examId/objects', examAnalytics('object statistics', async (sessionFilter, req) => ({
+  objects: await objectClasses(sessionFilter, intParam(req.query.limit, { name: 'limit', min: 1, max: 50, fallback: 10 }))
+})));
+
+// Violations over time (?bucketMinutes=1)
+router.get('/exams/:examId/timeline', examAnalytics('violation timeline', async (sessionFilter, req) => {
+  const bucketMinutes = intParam(req.query.bucketMinutes, { name: 'bucketMinutes', min: 1, max: 1440, fallback: 1 });
+  return { bucketMinutes, timeline: await violationTimeline(sessionFilter, bucketMinutes) };
+}));
+
+// Integrity score histogram and risk levels (?bucketSize=10)
+router.get('/exams/:examId/scores', examAnalytics('score distribution', async (sessionFilter, req) => {
+  const bucketSize = intParam(req.query.bucketSize, {
+    name: 'bucketSize', min: 1, max: 50, fallback: 10, allowed: [1, 2, 4, 5, 10, 20, 25, 50]
+  });
+  return { bucketSize, ...(await scoreDistribution(sessionFilter, bucketSize)) };
+}));
+
+module.exports = router;
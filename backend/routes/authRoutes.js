@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { MAX_ENROLLMENT_DESCRIPTORS, isValidDescriptor } = require('../services/faceIdentity');
+const {
+  signAuthToken,
+  setAuthCookie,
+  clearAuthCookie,
+  authenticate,
+  optionalAuth,
+  requireRole
+} = require('../middleware/auth');
+
+// Register a new account. Anyone may sign up as a candidate;
+// proctor and admin accounts can only be created by an admin.
+router.post('/register', optionalAuth, async (req, res) => {
+  try {
+    const { email, password, name, role = 'candidate' } = req.body;
+
+    if (!email || !password || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email, password and name are required'
+      });
+    }
+
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+
+    if (role !== 'candidate' && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can create proctor or admin accounts'
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters'
+      });
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const user = await User.create({
+      email,
+      name,
+      role,
+      passwordHash: await User.hashPassword(password)
+    });
+
+    console.log(`User registered: ${user.email} (${user.role})`);
+
+    // Self-registration logs the new candidate in; admin-created accounts don't
+    // replace the admin's own cookie
+    if (!req.user) {
+      const token = signAuthToken(user);
+      setAuthCookie(res, token);
+      return res.status(201).json({ success: true, user, token });
+    }
+
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register user',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Log in and receive an account token (also set as an httpOnly cookie)
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+passwordHash');
+    if (!user || !user.active || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const token = signAuthToken(user);
+    setAuthCookie(res, token);
+
+    console.log(`User logged in: ${user.email}`);
+    res.json({ success: true, user, token });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Log out by clearing the auth cookie
+router.post('/logout', (req, res) => {
+  clearAuthCookie(res);
+  res.json({ success: true });
+});
+
+// Get the current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get the current user's face enrollment; the candidate client compares the live face against it
+router.get('/me/face', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+faceEnrollment');
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const enrollment = user.faceEnrollment;
+    const enrolled = Boolean(enrollment && enrollment.descriptors.length > 0);
+    res.json({
+      success: true,
+      enrolled,
+      enrolledAt: enrolled ? enrollment.enrolledAt : null,
+      descriptors: enrolled ? enrollment.descriptors : []
+    });
+  } catch (error) {
+    console.error('Error fetching face enrollment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Enroll the current user's face. Only possible once, so a candidate can't swap in
+// someone else's face before an exam; an admin can reset the enrollment.
+router.put('/me/face', authenticate, async (req, res) => {
+  try {
+    const { descriptors } = req.body;
+
+    if (!Array.isArray(descriptors) || descriptors.length === 0 || descriptors.length > MAX_ENROLLMENT_DESCRIPTORS) {
+      return res.status(400).json({
+        success: false,
+        error: `Between 1 and ${MAX_ENROLLMENT_DESCRIPTORS} face descriptors are required`
+      });
+    }
+
+    if (!descriptors.every(isValidDescriptor)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Face descriptors must be arrays of 128 numbers'
+      });
+    }
+
+    // Only set it if there is no enrollment yet, so two concurrent requests can't both enroll
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user.id,
+        active: true,
+        $or: [{ faceEnrollment: { $exists: false } }, { 'faceEnrollment.descriptors.0': { $exists: false } }]
+      },
+      { faceEnrollment: { descriptors, enrolledAt: new Date() } },
+      { new: true }
+    ).select('+faceEnrollment');
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'A face is already enrolled for this account'
+      });
+    }
+
+    console.log(`Face enrolled for user ${user._id}`);
+    res.status(201).json({
+      success: true,
+      enrolled: true,
+      enrolledAt: user.faceEnrollment.enrolledAt
+    });
+  } catch (error) {
+    console.error('Error enrolling face:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List accounts (admin only)
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.query;
+    const users = await User.find(role ? { role } : {}).sort({ createdAt: -1 });
+
+    res.json({ success: true, count: users.length, users });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Change a user's role or deactivate an account (admin only)
+router.patch('/users/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, active } = req.body;
+    const update = {};
+
+    if (role !== undefined) {
+      if (!User.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Role must be one of: ${User.ROLES.join(', ')}`
+        });
+      }
+      update.role = role;
+    }
+    if (active !== undefined) {
+      update.active = Boolean(active);
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove a user's face enrollment so they can enroll again (admin only)
+router.delete('/users/:id/face', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { $unset: { faceEnrollment: 1 } }, { new: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error resetting face enrollment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
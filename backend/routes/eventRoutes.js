@@ -2,11 +2,82 @@ const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
 const Session = require('../models/Session');
+const { broadcastEvent } = require('../services/realtime');
+const { buildEventFilter, exportEvents, streamEvents } = require('../services/eventExport');
+const { screenshotError, storeScreenshot } = require('../services/evidence');
+const { acceptsEvents, applyTerminationRules } = require('../services/sessionLifecycle');
+const { closeStoredEpisode } = require('../services/episodes');
+const { authenticate, requireRole, requireSessionAccess } = require('../middleware/auth');
+
+// Every event route requires a logged-in caller
+router.use(authenticate);
+
+// insertMany() write errors are copied into plain objects that only keep the code on .err
+const isDuplicateKeyError = (error) => Boolean(error) && (error.err?.code ?? error.code) === 11000;
+
+/**
+ * Source recorded for a client-logged event: the client's own detector or 'frontend',
+ * never a server source such as 'api' that marks proctor and system entries in the audit trail
+ * @param {*} source
+ * @returns {string}
+ */
+const clientSource = (source) => (
+  Event.schema.path('source').enumValues.includes(source) && !Event.SERVER_SOURCES.includes(source)
+    ? source
+    : 'frontend'
+);
+
+const serverTypeError = (type) => (Event.SERVER_TYPES.includes(type)
+  ? `Event type ${type} is only recorded by the server`
+  : null);
+
+const rejectFinishedSession = (res, session) => res.status(409).json({
+  success: false,
+  error: `Session is ${session.status}; no more events can be logged`
+});
+
+/**
+ * Metadata flags for an event uploaded after its session ended (queued offline, or sent
+ * while the sweeper abandoned the session). Such events are kept as evidence but marked.
+ * @param {object} session
+ * @param {Date} timestamp - When the event happened (client clock)
+ * @returns {object}
+ */
+const lateUploadFlags = (session, timestamp) => ({
+  lateUpload: true,
+  ...(session.endTime && timestamp > session.endTime ? { afterSessionEnd: true } : {})
+});
+
+// Terminate the session if the new events break one of the exam's rules; never fails the request
+async function enforceTerminationRules(session, eventTypes) {
+  try {
+    const rule = await applyTerminationRules(session, eventTypes);
+    if (rule) {
+      console.log(`Session ${session.sessionId} terminated by rule: ${rule.eventType} x${rule.maxOccurrences}`);
+    }
+  } catch (error) {
+    console.error('Error applying termination rules:', error);
+  }
+}
+
+/**
+ * Find events a session already stored under the given client event IDs
+ * @param {string} sessionId
+ * @param {string[]} clientEventIds
+ * @returns {Promise<Map<string, object>>} clientEventId -> stored event
+ */
+async function findStoredEvents(sessionId, clientEventIds) {
+  if (clientEventIds.length === 0) return new Map();
+  const stored = await Event.find({ sessionId, clientEventId: { $in: clientEventIds } })
+    .select('_id clientEventId timestamp')
+    .lean();
+  return new Map(stored.map(event => [event.clientEventId, event]));
+}
 
 // Log a new event
-router.post('/', async (req, res) => {
+router.post('/', requireSessionAccess(req => req.body.sessionId), async (req, res) => {
   try {
-    const { sessionId, type, details, timestamp, severity = 'info', source = 'frontend', metadata = {} } = req.body;
+    const { sessionId, clientEventId, type, details, timestamp, severity = 'info', source, screenshot, metadata = {}, episode } = req.body;
     
     // Input validation
     if (!sessionId || !type) {
@@ -17,6 +88,13 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (serverTypeError(type)) {
+      return res.status(400).json({ 
+        success: false,
+        error: serverTypeError(type) 
+      });
+    }
+
     // Verify session exists
     const session = await Session.findOne({ sessionId });
     if (!session) {
@@ -27,20 +105,88 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // A retry of an event we already have is acknowledged, not stored again
+    const respondDuplicate = (stored) => res.status(200).json({
+      success: true,
+      duplicate: true,
+      eventId: stored._id,
+      timestamp: stored.timestamp
+    });
+
+    if (clientEventId) {
+      const stored = (await findStoredEvents(sessionId, [clientEventId])).get(clientEventId);
+      if (stored) return respondDuplicate(stored);
+    }
+
+    if (!acceptsEvents(session.status)) {
+      return rejectFinishedSession(res, session);
+    }
+
+    // The end of an episode updates the record stored when it started
+    const closesEpisode = Boolean(episode && episode.id && episode.status === 'closed');
+    const respondMerged = async (merged) => {
+      await Session.updateOne({ _id: session._id }, { $set: { lastActivity: new Date() } });
+      broadcastEvent(merged, session);
+      return res.status(200).json({
+        success: true,
+        merged: true,
+        eventId: merged._id,
+        timestamp: merged.timestamp
+      });
+    };
+
+    if (closesEpisode) {
+      const merged = await closeStoredEpisode(sessionId, episode);
+      if (merged) return respondMerged(merged);
+      // The start never arrived; store the episode from its end
+    }
+
+    // Keep screenshots in the evidence store, not in MongoDB
+    let screenshotUrl = null;
+    try {
+      screenshotUrl = await storeScreenshot(sessionId, screenshot);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
     // Create the event
-    const event = await Event.create({
-      sessionId,
-      type,
-      details: details || {},
-      timestamp: timestamp ? new Date(timestamp) : new Date(),
-      severity,
-      source,
-      metadata: {
-        ...metadata,
-        ip: req.ip,
-        userAgent: req.get('user-agent')
+    let event;
+    try {
+      event = await Event.create({
+        sessionId,
+        clientEventId,
+        type,
+        details: details || {},
+        timestamp: timestamp ? new Date(timestamp) : new Date(),
+        severity,
+        source: clientSource(source),
+        screenshot: screenshotUrl,
+        metadata: {
+          ...metadata,
+          ip: req.ip,
+          userAgent: req.get('user-agent')
+        },
+        episode
+      });
+    } catch (error) {
+      // A concurrent retry stored the same event (or the same episode) between the lookup and the insert
+      if (isDuplicateKeyError(error)) {
+        const stored = clientEventId && (await findStoredEvents(sessionId, [clientEventId])).get(clientEventId);
+        if (stored) return respondDuplicate(stored);
+        if (closesEpisode) {
+          const merged = await closeStoredEpisode(sessionId, episode);
+          if (merged) return respondMerged(merged);
+        }
+        if (episode && episode.id) {
+          const existing = await Event.findOne({ sessionId, 'episode.id': String(episode.id) }).select('_id timestamp').lean();
+          if (existing) return respondDuplicate(existing);
+        }
       }
-    });
+      throw error;
+    }
 
     // Update session with the new event reference
     await Session.findByIdAndUpdate(
@@ -53,6 +199,8 @@ router.post('/', async (req, res) => {
     );
 
     console.log(`Event logged: ${type} for session ${sessionId}`);
+    broadcastEvent(event, session);
+    await enforceTerminationRules(session, [type]);
     
     res.status(201).json({
       success: true,
@@ -61,6 +209,12 @@ router.post('/', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error logging event:', error);
     res.status(500).json({ 
       success: false,
@@ -70,8 +224,9 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Log multiple events in a batch
-router.post('/batch', async (req, res) => {
+// Log multiple events in a batch. Each item is stored, merged into its episode, recognised
+// as a duplicate or rejected on its own, and the response reports the outcome per item.
+router.post('/batch', requireSessionAccess(req => req.body.sessionId), async (req, res) => {
   try {
     const { sessionId, events = [] } = req.body;
     
@@ -91,42 +246,177 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    // Prepare events with timestamps
-    const eventsWithTimestamps = events.map(event => ({
-      ...event,
-      sessionId,
-      timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
-      source: event.source || 'frontend',
-      severity: event.severity || 'info',
-      details: event.details || {},
-      metadata: {
-        ...(event.metadata || {}),
-        ip: req.ip,
-        userAgent: req.get('user-agent'),
-        batch: true
-      }
+    const finished = !acceptsEvents(session.status);
+
+    const results = events.map((event, index) => ({
+      index,
+      clientEventId: event && event.clientEventId ? String(event.clientEventId) : undefined
     }));
 
-    // Insert all events
-    const createdEvents = await Event.insertMany(eventsWithTimestamps);
+    // Events a previous (retried) upload already stored, or repeated within this batch
+    const stored = await findStoredEvents(sessionId, results.map(result => result.clientEventId).filter(Boolean));
+    const seen = new Set();
+    const pending = results.filter((result) => {
+      const { clientEventId } = result;
+      if (!clientEventId) return true;
+      if (stored.has(clientEventId) || seen.has(clientEventId)) {
+        Object.assign(result, { status: 'duplicate', eventId: stored.get(clientEventId)?._id });
+        return false;
+      }
+      seen.add(clientEventId);
+      return true;
+    });
+
+    // Build and validate each event on its own so one bad item doesn't sink the batch.
+    // Events of a finished session are still stored: they were queued before the client knew it had ended.
+    const candidates = [];
+    for (const result of pending) {
+      const event = events[result.index];
+      if (!event || typeof event !== 'object') {
+        Object.assign(result, { status: 'rejected', error: 'Event must be an object' });
+        continue;
+      }
+
+      if (serverTypeError(event.type)) {
+        Object.assign(result, { status: 'rejected', error: serverTypeError(event.type) });
+        continue;
+      }
+
+      const timestamp = event.timestamp ? new Date(event.timestamp) : new Date();
+      // Only the fields a client may set; IDs and references are never taken from the payload
+      const doc = new Event({
+        type: event.type,
+        episode: event.episode,
+        sessionId,
+        clientEventId: result.clientEventId,
+        screenshot: null,
+        timestamp,
+        source: clientSource(event.source),
+        severity: event.severity || 'info',
+        details: event.details || {},
+        metadata: {
+          ...(event.metadata || {}),
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+          batch: true,
+          ...(finished ? lateUploadFlags(session, timestamp) : {})
+        }
+      });
+
+      const validationError = doc.validateSync();
+      const invalidScreenshot = screenshotError(sessionId, event.screenshot);
+      if (validationError || invalidScreenshot) {
+        Object.assign(result, { status: 'rejected', error: validationError ? validationError.message : invalidScreenshot });
+        continue;
+      }
+      candidates.push({ result, doc, screenshot: event.screenshot });
+    }
+
+    const createdEvents = [];
+    const racedIds = [];
+
+    // Store screenshots and insert; results are filled in per candidate
+    const insertCandidates = async (batch) => {
+      if (batch.length === 0) return;
+
+      // Store screenshots only for events we're keeping; a bad image drops the screenshot, not the event
+      await Promise.all(batch.map(async (candidate) => {
+        candidate.doc.screenshot = await storeScreenshot(sessionId, candidate.screenshot).catch(error => {
+          console.error('Error storing screenshot:', error.message);
+          return null;
+        });
+      }));
+
+      // Insert unordered so a duplicate from a concurrent retry only fails its own item
+      const failedWrites = new Map();
+      try {
+        await Event.insertMany(batch.map(candidate => candidate.doc), { ordered: false });
+      } catch (error) {
+        if (!Array.isArray(error.writeErrors)) throw error;
+        error.writeErrors.forEach(writeError => failedWrites.set(writeError.index, writeError));
+      }
+
+      batch.forEach(({ result, doc }, index) => {
+        const writeError = failedWrites.get(index);
+        if (!writeError) {
+          Object.assign(result, { status: 'created', eventId: doc._id });
+          createdEvents.push(doc);
+        } else if (isDuplicateKeyError(writeError)) {
+          result.status = 'duplicate';
+          if (result.clientEventId) racedIds.push(result.clientEventId);
+        } else {
+          Object.assign(result, { status: 'rejected', error: writeError.err?.errmsg || writeError.errmsg || 'Failed to store event' });
+        }
+      });
+    };
+
+    // Episode ends update the record stored when the episode started. They are applied after
+    // the inserts because the start may be in this same batch.
+    const closings = candidates.filter(({ doc }) => doc.episode && doc.episode.status === 'closed');
+    await insertCandidates(candidates.filter(candidate => !closings.includes(candidate)));
+
+    const mergedEvents = [];
+    const unmatchedClosings = [];
+    for (const candidate of closings) {
+      try {
+        const merged = await closeStoredEpisode(sessionId, candidate.doc.episode);
+        if (merged) {
+          Object.assign(candidate.result, { status: 'merged', eventId: merged._id });
+          mergedEvents.push(merged);
+        } else {
+          unmatchedClosings.push(candidate);
+        }
+      } catch (error) {
+        Object.assign(candidate.result, { status: 'rejected', error: error.message });
+      }
+    }
+    // An episode whose start never arrived is stored from its end
+    await insertCandidates(unmatchedClosings);
+
+    if (racedIds.length > 0) {
+      const raced = await findStoredEvents(sessionId, racedIds);
+      results.forEach((result) => {
+        if (result.status === 'duplicate' && !result.eventId) {
+          result.eventId = raced.get(result.clientEventId)?._id;
+        }
+      });
+    }
+
     const eventIds = createdEvents.map(e => e._id);
 
-    // Update session with new events
-    await Session.findByIdAndUpdate(
-      session._id,
-      { 
-        $push: { events: { $each: eventIds } },
-        $set: { lastActivity: new Date() }
-      },
-      { new: true }
-    );
+    // Update session with new events; late uploads don't count as activity of a finished session
+    if (eventIds.length > 0) {
+      await Session.findByIdAndUpdate(
+        session._id,
+        { 
+          $push: { events: { $each: eventIds } },
+          ...(finished ? {} : { $set: { lastActivity: new Date() } })
+        },
+        { new: true }
+      );
+    } else if (mergedEvents.length > 0 && !finished) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastActivity: new Date() } });
+    }
+
+    const duplicates = results.filter(result => result.status === 'duplicate').length;
+    const rejected = results.filter(result => result.status === 'rejected').length;
+    const merged = mergedEvents.length;
 
-    console.log(`Logged ${eventIds.length} events for session ${sessionId}`);
+    console.log(`Logged ${eventIds.length} ${finished ? 'late ' : ''}events for session ${sessionId} (${merged} episode ends merged, ${duplicates} duplicates, ${rejected} rejected)`);
+    [...createdEvents, ...mergedEvents].forEach(event => broadcastEvent(event, session));
+    await enforceTerminationRules(session, [...new Set(createdEvents.map(event => event.type))]);
     
-    res.status(201).json({
-      success: true,
-      count: createdEvents.length,
-      eventIds
+    // Only a batch where nothing could be stored is an error
+    const allRejected = rejected === results.length;
+    res.status(allRejected ? 400 : eventIds.length > 0 ? 201 : 200).json({
+      success: !allRejected,
+      ...(allRejected ? { error: 'No events in the batch were valid' } : {}),
+      count: eventIds.length,
+      merged,
+      duplicates,
+      rejected,
+      eventIds,
+      results
     });
 
   } catch (error) {
@@ -140,45 +430,18 @@ router.post('/batch', async (req, res) => {
 });
 
 // Get events for a session with filtering
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', requireSessionAccess(req => req.params.sessionId), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { 
       limit = 100, 
       offset = 0, 
-      type, 
-      severity, 
-      startDate, 
-      endDate,
       sortBy = 'timestamp',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build query
-    const query = { sessionId };
-    
-    // Apply filters
-    if (type) {
-      if (Array.isArray(type)) {
-        query.type = { $in: type };
-      } else {
-        query.type = type;
-      }
-    }
-    
-    if (severity) {
-      if (Array.isArray(severity)) {
-        query.severity = { $in: severity };
-      } else {
-        query.severity = severity;
-      }
-    }
-    
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
-    }
+    // Build query with the type/severity/date filters
+    const query = buildEventFilter(req.query, { sessionId });
 
     // Build sort object
     const sort = {};
@@ -203,6 +466,12 @@ router.get('/session/:sessionId', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error fetching events:', error);
     res.status(500).json({ 
       success: false,
@@ -212,4 +481,57 @@ router.get('/session/:sessionId', async (req, res) => {
   }
 });
 
+// Export events across sessions as CSV or NDJSON, streamed so large exports
+// don't load into memory. Supports the same filters as above plus examId.
+router.get('/export', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const { examId, sessionId } = req.query;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'ndjson'].includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Format must be csv or ndjson' 
+      });
+    }
+
+    // Check the filters before streaming starts; past that point errors can't change the status
+    buildEventFilter(req.query);
+
+    // Sessions in scope are read page by page while streaming; this also gives each row its examId
+    const sessionFilter = {};
+    if (examId) sessionFilter.examId = String(examId);
+    if (sessionId) sessionFilter.sessionId = String(sessionId);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // The exam ID comes from the query string; keep it from breaking out of the header
+    const examPart = String(examId || 'all').replace(/[^\w.-]/g, '') || 'all';
+    const filename = `events-${examPart}-${timestamp}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+    const count = await streamEvents(exportEvents(sessionFilter, req.query), res, format);
+    console.log(`Exported ${count} events as ${format}`);
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error exporting events:', error);
+    // Headers are already sent once streaming has started; cut the connection so the
+    // client sees a failed download rather than a complete-looking truncated file
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to export events',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
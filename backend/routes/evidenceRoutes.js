@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const Session = require('../models/Session');
+const { getEvidenceStore } = require('../services/evidenceStore');
+const { isValidEvidencePath, contentTypeFor } = require('../services/evidence');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Evidence is only visible to proctors and admins
+router.use(authenticate, requireRole('proctor', 'admin'));
+
+// Serve a stored evidence file
+router.get('/:sessionId/:fileName', async (req, res) => {
+  try {
+    const { sessionId, fileName } = req.params;
+
+    if (!isValidEvidencePath(sessionId, fileName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid evidence path'
+      });
+    }
+
+    const key = `${sessionId}/${fileName}`;
+    const store = getEvidenceStore();
+
+    if (!(await Session.exists({ sessionId })) || !(await store.exists(key))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evidence not found'
+      });
+    }
+
+    res.type(contentTypeFor(fileName));
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+
+    const stream = store.createReadStream(key);
+    stream.on('error', (error) => {
+      console.error('Error streaming evidence:', key, error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: 'Failed to read evidence' });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving evidence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const Exam = require('../models/Exam');
+const Session = require('../models/Session');
+const { buildLiveSessions } = require('../services/liveSessions');
+const { buildDetectionPolicy } = require('../config/detectionPolicy');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Fields a client may set when creating or updating an exam
+const EDITABLE_FIELDS = [
+  'title', 'description', 'startsAt', 'endsAt', 'durationMinutes',
+  'allowedObjects', 'forbiddenObjects', 'suspiciousObjects', 'objectSeverities',
+  'requireFullscreen', 'requireIdentityVerification', 'monitorAudio', 'requireScreenShare', 'requireRoomScan', 'consentNotice', 'thresholds', 'terminationRules', 'scoring'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const withWindowStatus = (exam) => ({
+  ...exam.toObject(),
+  windowStatus: exam.windowStatus()
+});
+
+// Every exam route requires a logged-in caller
+router.use(authenticate);
+
+// List exams, optionally filtered by window status (upcoming, open, closed)
+router.get('/', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    const query = {};
+
+    if (status === 'upcoming') {
+      query.startsAt = { $gt: now };
+    } else if (status === 'open') {
+      query.startsAt = { $lte: now };
+      query.endsAt = { $gte: now };
+    } else if (status === 'closed') {
+      query.endsAt = { $lt: now };
+    }
+
+    const exams = await Exam.find(query).sort({ startsAt: -1 });
+
+    res.json({
+      success: true,
+      count: exams.length,
+      exams: exams.map(withWindowStatus)
+    });
+  } catch (error) {
+    console.error('Error listing exams:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list exams',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Running sessions of an exam with their live risk, riskiest first (proctor grid)
+router.get('/:examId/live', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const exam = await Exam.findOne({ examId: req.params.examId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    const sessions = await buildLiveSessions(exam);
+    res.json({
+      success: true,
+      exam: withWindowStatus(exam),
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error fetching live sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch live sessions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Detection policy the candidate client applies for this exam
+router.get('/:examId/policy', async (req, res) => {
+  try {
+    const exam = await Exam.findOne({ examId: req.params.examId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    res.json({ success: true, examId: exam.examId, policy: buildDetectionPolicy(exam) });
+  } catch (error) {
+    console.error('Error fetching detection policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get a single exam (candidates need it to know the rules before starting; they get only their view of it)
+router.get('/:examId', async (req, res) => {
+  try {
+    const exam = await Exam.findOne({ examId: req.params.examId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      exam: req.user.role === 'candidate' ? exam.candidateView() : withWindowStatus(exam)
+    });
+  } catch (error) {
+    console.error('Error fetching exam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create an exam
+router.post('/', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const { examId } = req.body;
+
+    if (!examId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Exam ID is required'
+      });
+    }
+
+    if (await Exam.exists({ examId })) {
+      return res.status(409).json({
+        success: false,
+        error: 'An exam with this ID already exists'
+      });
+    }
+
+    const exam = await Exam.create({
+      examId,
+      ...pickEditable(req.body),
+      createdBy: req.user.id
+    });
+
+    console.log(`Exam created: ${examId}`);
+    res.status(201).json({ success: true, exam: withWindowStatus(exam) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error creating exam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create exam',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update an exam
+router.put('/:examId', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const exam = await Exam.findOne({ examId: req.params.examId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    exam.set({ ...pickEditable(req.body), updatedAt: new Date() });
+    await exam.save();
+
+    console.log(`Exam updated: ${exam.examId}`);
+    res.json({ success: true, exam: withWindowStatus(exam) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error updating exam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update exam',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete an exam that has no sessions yet
+router.delete('/:examId', requireRole('admin'), async (req, res) => {
+  try {
+    const { examId } = req.params;
+
+    if (await Session.exists({ examId })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete an exam that already has sessions'
+      });
+    }
+
+    const exam = await Exam.findOneAndDelete({ examId });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    console.log(`Exam deleted: ${examId}`);
+    res.json({ success: true, message: 'Exam deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting exam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete exam',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
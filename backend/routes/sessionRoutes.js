@@ -3,19 +3,115 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const Session = require('../models/Session');
 const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const User = require('../models/User');
+const { broadcastEvent, broadcastSessionUpdate } = require('../services/realtime');
+const { scoreSession } = require('../services/integrityScore');
+const { transitionSession, SessionTransitionError, isTerminal, sessionDeadline, enforceTimeLimit } = require('../services/sessionLifecycle');
+const { INTERVENTIONS, issueIntervention } = require('../services/interventions');
+const { SESSION_SORT_FIELDS, buildSessionFilter, countEventsBySeverity } = require('../services/sessionSearch');
+const { buildReport, renderHtmlReport, renderPdfReport } = require('../services/report');
+const { isValidDescriptor, closestDistance } = require('../services/faceIdentity');
+const { validateSystemCheck } = require('../services/systemCheck');
+const { validateConsent } = require('../services/consent');
+const {
+  MAX_RECORDING_CHUNK_BYTES,
+  RECORDING_MIME_TYPE,
+  SAFE_SEGMENT_ID,
+  MAX_CHUNK_INDEX,
+  storeRecordingChunk,
+  describeRecording,
+  createSegmentStream
+} = require('../services/recording');
+const { buildDetectionPolicy } = require('../config/detectionPolicy');
+const { authenticate, requireRole, requireSessionAccess, signSessionToken } = require('../middleware/auth');
 
-// Enable CORS for all routes in this router
-router.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  next();
+// Every session route requires a logged-in caller
+router.use(authenticate);
+
+const MAX_PAGE_SIZE = 100;
+// The client uploads its last chunk while ending the session, or just after being terminated
+const RECORDING_UPLOAD_GRACE_MS = parseInt(process.env.RECORDING_UPLOAD_GRACE_MS, 10) || 2 * 60 * 1000;
+
+// List sessions with filters (examId, status, candidateName, startDate, endDate), pagination and
+// sorting. Proctors and admins see every session; candidates only their own.
+router.get('/', async (req, res) => {
+  try {
+    const { 
+      limit = 20, 
+      offset = 0, 
+      sortBy = 'startTime',
+      sortOrder = 'desc'
+    } = req.query;
+
+    if (!Object.hasOwn(SESSION_SORT_FIELDS, sortBy)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `sortBy must be one of: ${Object.keys(SESSION_SORT_FIELDS).join(', ')}` 
+      });
+    }
+
+    const base = req.user.role === 'candidate' ? { candidateId: req.user.id } : {};
+    const query = buildSessionFilter(req.query, base);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    const [sessions, total] = await Promise.all([
+      Session.find(query)
+        .select('-events -metadata.endData')
+        .sort({ [SESSION_SORT_FIELDS[sortBy]]: sortOrder === 'asc' ? 1 : -1, _id: 1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      Session.countDocuments(query)
+    ]);
+
+    const eventCounts = await countEventsBySeverity(sessions.map(session => session.sessionId));
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      total,
+      hasMore: (skip + sessions.length) < total,
+      sessions: sessions.map(session => ({
+        sessionId: session.sessionId,
+        candidateName: session.candidateName,
+        candidateId: session.candidateId,
+        examId: session.examId,
+        status: session.status,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        duration: session.duration,
+        endReason: session.metadata && session.metadata.endReason,
+        integrity: session.integrity
+          ? { score: session.integrity.score, riskLevel: session.integrity.riskLevel }
+          : null,
+        eventCounts: eventCounts.get(session.sessionId)
+      }))
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to list sessions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 });
 
-// Start a new session
+// Start a new session. Candidates start their own session; proctors and
+// admins may start one on behalf of a named candidate.
 router.post('/', async (req, res) => {
   try {
-    const { candidateName, examId, metadata } = req.body;
+    const { examId, metadata } = req.body;
+    const isCandidate = req.user.role === 'candidate';
+    const candidateName = isCandidate ? req.user.name : req.body.candidateName;
     console.log('Starting session with data:', { candidateName, examId, metadata });
     
     if (!candidateName) {
@@ -26,14 +122,107 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!examId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Exam ID is required' 
+      });
+    }
+
+    // Sessions can only be started for a known exam inside its scheduled window
+    const exam = await Exam.findOne({ examId });
+    if (!exam) {
+      console.error('Exam not found:', examId);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Exam not found' 
+      });
+    }
+
+    const windowStatus = exam.windowStatus();
+    if (windowStatus !== 'open') {
+      return res.status(403).json({ 
+        success: false,
+        error: windowStatus === 'closed' ? 'Exam window has closed' : 'Exam window has not opened yet' 
+      });
+    }
+
+    // Nothing is monitored until the candidate has accepted the exam's privacy notice
+    const { consent, error: consentError } = validateConsent(req.body.consent, exam);
+    if (consentError) {
+      return res.status(400).json({ 
+        success: false,
+        error: consentError 
+      });
+    }
+
+    // Candidates must have passed the pre-exam system check on this device
+    let systemCheck = null;
+    if (isCandidate) {
+      const result = validateSystemCheck(metadata && metadata.systemCheck, exam);
+      if (result.error) {
+        return res.status(400).json({ 
+          success: false,
+          error: result.error 
+        });
+      }
+      systemCheck = result.systemCheck;
+    }
+
+    // Compare the live face the client captured with the candidate's enrollment
+    let identity = null;
+    if (isCandidate) {
+      const account = await User.findById(req.user.id).select('+faceEnrollment').lean();
+      const references = (account && account.faceEnrollment && account.faceEnrollment.descriptors) || [];
+      const descriptor = req.body.identity && req.body.identity.descriptor;
+
+      if (exam.requireIdentityVerification && references.length === 0) {
+        return res.status(403).json({ 
+          success: false,
+          error: 'Face enrollment is required for this exam' 
+        });
+      }
+
+      if (exam.requireIdentityVerification && !isValidDescriptor(descriptor)) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'A live face capture is required for this exam' 
+        });
+      }
+
+      if (references.length > 0 && !isValidDescriptor(descriptor)) {
+        // An enrolled candidate can't skip the comparison by leaving the capture out
+        identity = { verified: false, reason: 'missing_capture', checkedAt: new Date() };
+      } else if (references.length > 0) {
+        const distance = closestDistance(descriptor, references);
+        identity = {
+          verified: distance <= buildDetectionPolicy(exam).identity.matchDistance,
+          distance: Math.round(distance * 1000) / 1000,
+          checkedAt: new Date()
+        };
+
+        if (!identity.verified && exam.requireIdentityVerification) {
+          console.warn('Identity check failed for user:', req.user.id, identity.distance);
+          return res.status(403).json({ 
+            success: false,
+            error: 'The face on camera does not match the enrolled candidate' 
+          });
+        }
+      }
+    }
+
     const sessionId = uuidv4();
     const session = new Session({
       sessionId,
       candidateName,
-      examId: examId || 'default-exam',
+      candidateId: isCandidate ? req.user.id : undefined,
+      examId,
       status: 'active',
       startTime: new Date(),
-      metadata: metadata || {}
+      timeLimitSeconds: exam.durationMinutes * 60,
+      identity,
+      consent,
+      metadata: { ...(metadata || {}), ...(systemCheck ? { systemCheck } : {}) }
     });
 
     try {
@@ -49,25 +238,51 @@ router.post('/', async (req, res) => {
 
     // Log session start event
     try {
-      await Event.create({
+      const startEvent = await Event.create({
         sessionId,
         type: 'session_start',
         details: { 
           candidateName,
-          examId: examId || 'default-exam',
+          examId,
           ...metadata
         }
       });
       console.log('Session start event logged');
+      broadcastEvent(startEvent, session);
     } catch (error) {
       console.error('Error logging session start event:', error);
       // Don't fail the request if event logging fails
     }
 
+    // Exams that don't require verification still start, but the proctor is told
+    if (identity && !identity.verified) {
+      try {
+        const mismatchEvent = await Event.create({
+          sessionId,
+          type: 'face_mismatch',
+          severity: 'error',
+          source: 'face_detection',
+          details: identity.reason === 'missing_capture'
+            ? { message: 'No live face capture was sent to compare with the enrollment at session start', reason: identity.reason }
+            : { message: 'Face does not match the enrolled candidate at session start', distance: identity.distance }
+        });
+        broadcastEvent(mismatchEvent, session);
+      } catch (error) {
+        console.error('Error logging face mismatch event:', error);
+      }
+    }
+
+    broadcastSessionUpdate(session, 'started');
     console.log('Session started successfully:', sessionId);
     return res.status(201).json({ 
       success: true, 
       sessionId,
+      exam: exam.candidateView(),
+      // Moves back by the time spent paused; heartbeats return the current one
+      deadline: sessionDeadline(session),
+      identity,
+      // Scoped token the client uses for every write to this session
+      sessionToken: signSessionToken(req.user, sessionId),
       message: 'Session started successfully' 
     });
   } catch (error) {
@@ -80,12 +295,20 @@ router.post('/', async (req, res) => {
   }
 });
 
-// End a session
-router.post('/end', async (req, res) => {
+/**
+ * Build a handler that moves the session named in req.body.sessionId to a new status.
+ * Invalid transitions (e.g. ending a session twice) are rejected with 409.
+ * @param {string} to - Target status
+ * @param {object} options
+ * @param {string} options.label - Used in log and response messages (e.g. 'ended')
+ * @param {function} [options.authorize] - (req, session) => error message if the caller may not do this
+ * @param {function} [options.transitionOptions] - req => extra options for transitionSession
+ */
+const lifecycleHandler = (to, { label, authorize, transitionOptions = () => ({}) }) => async (req, res) => {
   try {
-    const { sessionId, endReason, metadata } = req.body;
-    console.log('Ending session with data:', { sessionId, endReason, metadata });
-    
+    const { sessionId, reason } = req.body;
+    console.log(`Session ${label} requested:`, { sessionId, reason });
+
     if (!sessionId) {
       console.error('Missing session ID');
       return res.status(400).json({ 
@@ -94,52 +317,400 @@ router.post('/end', async (req, res) => {
       });
     }
 
-    const updateData = {
-      status: 'completed',
-      endTime: new Date(),
-      'metadata.endReason': endReason || 'user_ended',
-      'metadata.endData': metadata || {}
-    };
+    const session = await Session.findOne({ sessionId });
+    if (!session) {
+      console.error('Session not found:', sessionId);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found' 
+      });
+    }
+
+    const denied = authorize && authorize(req, session);
+    if (denied) {
+      return res.status(403).json({ 
+        success: false,
+        error: denied 
+      });
+    }
+
+    const result = await transitionSession(session, to, {
+      reason,
+      actor: req.user,
+      source: 'api',
+      ...transitionOptions(req)
+    });
+
+    res.json({ 
+      success: true, 
+      message: `Session ${label} successfully`,
+      sessionId,
+      status: result.session.status,
+      duration: result.session.duration,
+      integrity: result.integrity
+    });
+  } catch (error) {
+    if (error instanceof SessionTransitionError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+    console.error(`Error changing session status to ${to}:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// End a session
+router.post('/end', requireSessionAccess(req => req.body.sessionId), lifecycleHandler('completed', {
+  label: 'ended',
+  transitionOptions: (req) => ({
+    reason: req.body.endReason || 'user_ended',
+    details: req.body.metadata || {},
+    endData: req.body.metadata || {}
+  })
+}));
+
+// Pause a session (proctor/admin); paused time doesn't count towards its duration
+router.post('/pause', requireRole('proctor', 'admin'), lifecycleHandler('paused', {
+  label: 'paused'
+}));
+
+// Resume a paused session (proctor/admin)
+router.post('/resume', requireRole('proctor', 'admin'), lifecycleHandler('active', {
+  label: 'resumed'
+}));
+
+// Terminate a session early (proctor/admin)
+router.post('/terminate', requireRole('proctor', 'admin'), lifecycleHandler('terminated', {
+  label: 'terminated',
+  transitionOptions: (req) => ({ reason: req.body.reason || 'proctor_terminated' })
+}));
+
+// Heartbeat from the candidate client; keeps the session from being swept as abandoned
+router.post('/heartbeat', requireSessionAccess(req => req.body.sessionId), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Session ID is required' 
+      });
+    }
 
     const session = await Session.findOneAndUpdate(
-      { sessionId },
-      updateData,
-      { new: true, upsert: false }
-    );
+      { sessionId, status: { $in: ['active', 'paused'] } },
+      { $set: { lastActivity: new Date() } },
+      { new: true }
+    ).select('sessionId examId candidateName status lastActivity startTime pausedDuration timeLimitSeconds');
 
     if (!session) {
-      console.error('Session not found:', sessionId);
+      const existing = await Session.findOne({ sessionId }).select('status').lean();
+      if (!existing) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Session not found' 
+        });
+      }
+      // Tells the client the session was ended elsewhere (proctor, rule or sweeper)
+      return res.status(409).json({ 
+        success: false,
+        error: `Session is ${existing.status}`,
+        status: existing.status
+      });
+    }
+
+    // Out of time: end it here so the client stops, like any session ended elsewhere
+    if (await enforceTimeLimit(session)) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Session is completed: the time limit has passed',
+        status: 'completed',
+        endReason: 'time_limit'
+      });
+    }
+
+    res.json({ 
+      success: true,
+      status: session.status,
+      lastActivity: session.lastActivity,
+      deadline: sessionDeadline(session)
+    });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Send a live command to the candidate: warning, recenter, pause or terminate (proctor/admin)
+router.post('/:sessionId/intervene', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { action, message } = req.body;
+
+    if (!INTERVENTIONS[action]) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Action must be one of: ${Object.keys(INTERVENTIONS).join(', ')}` 
+      });
+    }
+
+    const session = await Session.findOne({ sessionId });
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found' 
+      });
+    }
+
+    const result = await issueIntervention(session, { action, message }, req.user);
+    res.status(201).json({ 
+      success: true,
+      interventionId: result.event._id,
+      delivered: result.delivered,
+      status: result.session.status
+    });
+  } catch (error) {
+    if (error instanceof SessionTransitionError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+    console.error('Error sending intervention:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to send intervention',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Recompute the integrity score on demand (e.g. after changing the exam's weights)
+router.post('/:sessionId/score', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId });
+    if (!session) {
       return res.status(404).json({ 
         success: false,
         error: 'Session not found' 
       });
     }
 
-    // Log session end event
+    const integrity = await scoreSession(session);
+    res.json({ 
+      success: true, 
+      sessionId: session.sessionId,
+      integrity
+    });
+  } catch (error) {
+    console.error('Error scoring session:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to score session',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download a session report for the integrity board (?format=pdf|html)
+router.get('/:sessionId/report', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const format = (req.query.format || 'pdf').toLowerCase();
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Format must be pdf or html' 
+      });
+    }
+
+    const report = await buildReport(sessionId);
+    if (!report) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found' 
+      });
+    }
+
+    const filename = `session-${sessionId}-report.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'html') {
+      res.type('html').send(renderHtmlReport(report));
+    } else {
+      res.type('pdf');
+      renderPdfReport(report, res);
+    }
+  } catch (error) {
+    console.error('Error generating report:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to generate report',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Upload one chunk of the webcam recording (raw video/webm body).
+// ?startedAt and ?recordedAt are client timestamps (ms) of the segment start and the end of this chunk.
+router.post(
+  '/:sessionId/recording/:segmentId/:index',
+  requireSessionAccess(req => req.params.sessionId),
+  express.raw({ type: RECORDING_MIME_TYPE, limit: MAX_RECORDING_CHUNK_BYTES }),
+  async (req, res) => {
     try {
-      await Event.create({
-        sessionId,
-        type: 'session_end',
-        details: {
-          status: 'completed',
-          endReason: endReason || 'user_ended',
-          ...(metadata || {})
-        }
+      const { sessionId, segmentId } = req.params;
+      const index = Number(req.params.index);
+      const startedAt = new Date(Number(req.query.startedAt));
+      const recordedAt = new Date(Number(req.query.recordedAt));
+
+      if (!SAFE_SEGMENT_ID.test(segmentId) || !Number.isInteger(index) || index < 0 || index > MAX_CHUNK_INDEX) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid segment ID or chunk index' 
+        });
+      }
+      if (Number.isNaN(startedAt.getTime()) || Number.isNaN(recordedAt.getTime()) || recordedAt < startedAt) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'startedAt and recordedAt must be timestamps in milliseconds, with recordedAt not before startedAt' 
+        });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: `Chunk body must be non-empty ${RECORDING_MIME_TYPE}` 
+        });
+      }
+
+      const session = await Session.findOne({ sessionId }).select('status endTime').lean();
+      if (!session) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Session not found' 
+        });
+      }
+      if (isTerminal(session.status) && Date.now() - new Date(session.endTime).getTime() > RECORDING_UPLOAD_GRACE_MS) {
+        return res.status(409).json({ 
+          success: false,
+          error: `Session is ${session.status}`,
+          status: session.status
+        });
+      }
+
+      const chunk = await storeRecordingChunk(sessionId, { segmentId, index, startedAt, recordedAt, buffer: req.body });
+      if (!chunk) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Session not found' 
+        });
+      }
+
+      res.status(201).json({ 
+        success: true,
+        segmentId,
+        index,
+        size: chunk.size
       });
-      console.log('Session end event logged for session:', sessionId);
     } catch (error) {
-      console.error('Error logging session end event:', error);
-      // Don't fail the request if event logging fails
+      console.error('Error storing recording chunk:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to store recording chunk',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// List the recorded segments of a session (proctor/admin)
+router.get('/:sessionId/recording', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId }).select('sessionId recording').lean();
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found' 
+      });
     }
 
-    console.log('Session ended successfully:', sessionId);
     res.json({ 
-      success: true, 
-      message: 'Session ended successfully',
-      sessionId
+      success: true,
+      sessionId: session.sessionId,
+      segments: describeRecording(session)
+    });
+  } catch (error) {
+    console.error('Error listing recording:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Play back one recorded segment as a single WebM file (proctor/admin)
+router.get('/:sessionId/recording/:segmentId', requireRole('proctor', 'admin'), async (req, res) => {
+  try {
+    const { sessionId, segmentId } = req.params;
+    const session = await Session.findOne({ sessionId }).select('recording').lean();
+    const segment = session && (session.recording?.segments || []).find(item => item.segmentId === segmentId);
+    if (!segment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Recording not found' 
+      });
+    }
+
+    // Players seek with byte ranges; a single range is served as 206, anything else in full
+    let range = null;
+    if (req.headers.range) {
+      const ranges = req.range(segment.size);
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${segment.size}`);
+        return res.status(416).json({ 
+          success: false,
+          error: 'Requested range not satisfiable' 
+        });
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    res.type(segment.mimeType || RECORDING_MIME_TYPE);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${segment.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    }
+
+    const stream = createSegmentStream(sessionId, segment, range);
+    stream.on('error', (error) => {
+      console.error('Error streaming recording:', sessionId, segmentId, error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: 'Failed to read recording' });
+      } else {
+        // Cut the connection so the player doesn't take a short body for the whole range
+        res.destroy();
+      }
     });
+    stream.pipe(res);
   } catch (error) {
-    console.error('Error ending session:', error);
+    console.error('Error serving recording:', error);
     res.status(500).json({ 
       success: false,
       error: 'Server error',
@@ -149,7 +720,7 @@ router.post('/end', async (req, res) => {
 });
 
 // Get session details
-router.get('/:sessionId', async (req, res) => {
+router.get('/:sessionId', requireSessionAccess(req => req.params.sessionId), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = await Session.findOne({ sessionId });
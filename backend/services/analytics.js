@@ -0,0 +1,170 @@
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+
+// Severities that count as violations in the timeline
+const VIOLATION_SEVERITIES = ['warning', 'error', 'critical'];
+const OBJECT_EVENT_TYPES = ['suspicious_object', 'forbidden_object'];
+
+/**
+ * Session IDs matching a session filter; events are linked to exams only through their session
+ * @param {object} sessionFilter - Output of buildSessionFilter()
+ * @returns {Promise<string[]>}
+ */
+function sessionIdsFor(sessionFilter) {
+  return Session.distinct('sessionId', sessionFilter);
+}
+
+/**
+ * Session counts by status, average score, and for every event type how many
+ * sessions had it at least once (e.g. "12 sessions had multiple_faces")
+ * @param {object} sessionFilter
+ * @returns {Promise<object>}
+ */
+async function examOverview(sessionFilter) {
+  const [statusRows, scoreRows, sessionIds] = await Promise.all([
+    Session.aggregate([
+      { $match: sessionFilter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Session.aggregate([
+      { $match: { ...sessionFilter, 'integrity.score': { $type: 'number' } } },
+      { $group: { _id: null, average: { $avg: '$integrity.score' }, min: { $min: '$integrity.score' }, scored: { $sum: 1 } } }
+    ]),
+    sessionIdsFor(sessionFilter)
+  ]);
+
+  const eventTypes = sessionIds.length === 0 ? [] : await Event.aggregate([
+    { $match: { sessionId: { $in: sessionIds } } },
+    { $group: { _id: { type: '$type', sessionId: '$sessionId' }, events: { $sum: 1 } } },
+    { $group: { _id: '$_id.type', sessions: { $sum: 1 }, events: { $sum: '$events' } } },
+    { $sort: { sessions: -1, events: -1 } }
+  ]);
+
+  const scores = scoreRows[0] || { average: null, min: null, scored: 0 };
+
+  return {
+    sessions: {
+      total: statusRows.reduce((sum, row) => sum + row.count, 0),
+      byStatus: Object.fromEntries(statusRows.map(row => [row._id, row.count]))
+    },
+    scores: {
+      scored: scores.scored,
+      average: scores.average === null ? null : Math.round(scores.average * 10) / 10,
+      min: scores.min
+    },
+    eventTypes: eventTypes.map(row => ({
+      type: row._id,
+      sessions: row.sessions,
+      events: row.events,
+      sessionShare: sessionIds.length ? Math.round((row.sessions / sessionIds.length) * 1000) / 10 : 0
+    }))
+  };
+}
+
+/**
+ * Most frequently detected object classes (details.object of object detection events)
+ * @param {object} sessionFilter
+ * @param {number} [limit]
+ * @returns {Promise<Array<{ object: string, detections: number, sessions: number, averageConfidence: number|null }>>}
+ */
+async function objectClasses(sessionFilter, limit = 10) {
+  const sessionIds = await sessionIdsFor(sessionFilter);
+  if (sessionIds.length === 0) return [];
+
+  const rows = await Event.aggregate([
+    { $match: { sessionId: { $in: sessionIds }, type: { $in: OBJECT_EVENT_TYPES }, 'details.object': { $type: 'string' } } },
+    {
+      $group: {
+        _id: '$details.object',
+        detections: { $sum: 1 },
+        sessions: { $addToSet: '$sessionId' },
+        averageConfidence: { $avg: '$details.confidence' }
+      }
+    },
+    { $project: { detections: 1, sessions: { $size: '$sessions' }, averageConfidence: 1 } },
+    { $sort: { detections: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({
+    object: row._id,
+    detections: row.detections,
+    sessions: row.sessions,
+    averageConfidence: row.averageConfidence === null ? null : Math.round(row.averageConfidence * 100) / 100
+  }));
+}
+
+/**
+ * Violations (warning severity and above) per time bucket across the exam's sessions
+ * @param {object} sessionFilter
+ * @param {number} [bucketMinutes]
+ * @returns {Promise<Array<{ time: Date, count: number, perMinute: number, byType: object }>>}
+ */
+async function violationTimeline(sessionFilter, bucketMinutes = 1) {
+  const sessionIds = await sessionIdsFor(sessionFilter);
+  if (sessionIds.length === 0) return [];
+
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const rows = await Event.aggregate([
+    { $match: { sessionId: { $in: sessionIds }, severity: { $in: VIOLATION_SEVERITIES } } },
+    // Round each timestamp down to the start of its bucket
+    { $addFields: { bucket: { $subtract: ['$timestamp', { $mod: [{ $toLong: '$timestamp' }, bucketMs] }] } } },
+    { $group: { _id: { bucket: '$bucket', type: '$type' }, count: { $sum: 1 } } },
+    { $group: { _id: '$_id.bucket', count: { $sum: '$count' }, types: { $push: { k: '$_id.type', v: '$count' } } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(row => ({
+    time: row._id,
+    count: row.count,
+    perMinute: Math.round((row.count / bucketMinutes) * 100) / 100,
+    byType: Object.fromEntries(row.types.map(({ k, v }) => [k, v]))
+  }));
+}
+
+/**
+ * Histogram of integrity scores plus the number of sessions per risk level
+ * @param {object} sessionFilter
+ * @param {number} [bucketSize] - Width of each score bucket (divides 100)
+ * @returns {Promise<{ buckets: Array<{ min: number, max: number, count: number }>, riskLevels: object }>}
+ */
+async function scoreDistribution(sessionFilter, bucketSize = 10) {
+  const boundaries = [];
+  for (let bound = 0; bound < 100; bound += bucketSize) boundaries.push(bound);
+  // $bucket upper bounds are exclusive; stretch the last one so a perfect 100 is counted
+  boundaries.push(100.001);
+
+  const match = { ...sessionFilter, 'integrity.score': { $type: 'number' } };
+  const [bucketRows, riskRows] = await Promise.all([
+    Session.aggregate([
+      { $match: match },
+      { $bucket: { groupBy: '$integrity.score', boundaries, default: 'other', output: { count: { $sum: 1 } } } }
+    ]),
+    Session.aggregate([
+      { $match: match },
+      { $group: { _id: '$integrity.riskLevel', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countByMin = new Map(bucketRows.map(row => [row._id, row.count]));
+  return {
+    buckets: boundaries.slice(0, -1).map(min => ({
+      min,
+      max: Math.min(min + bucketSize, 100),
+      count: countByMin.get(min) || 0
+    })),
+    riskLevels: {
+      low: 0,
+      medium: 0,
+      high: 0,
+      ...Object.fromEntries(riskRows.filter(row => row._id).map(row => [row._id, row.count]))
+    }
+  };
+}
+
+module.exports = {
+  examOverview,
+  objectClasses,
+  violationTimeline,
+  scoreDistribution
+};
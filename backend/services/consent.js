@@ -0,0 +1,34 @@
+// Consent is given just before the system check; an older acceptance has to be given again
+const MAX_CONSENT_AGE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Validate the consent a client sends when starting a session.
+ * The candidate must have accepted the notice currently configured for the exam; an acceptance
+ * of an older version means the notice changed since it was shown.
+ * @param {object} consent - { accepted: true, version, acceptedAt }
+ * @param {object} exam
+ * @returns {{ error: string }|{ consent: object }} The error to return, or the record to store on the session
+ */
+function validateConsent(consent, exam) {
+  if (!consent || typeof consent !== 'object' || consent.accepted !== true) {
+    return { error: 'You must accept the privacy notice before monitoring can start' };
+  }
+
+  const { version } = exam.consentNotice;
+  if (consent.version !== version) {
+    return { error: 'The privacy notice has changed; please review and accept it again' };
+  }
+
+  const acceptedAt = new Date(consent.acceptedAt);
+  const age = Date.now() - acceptedAt.getTime();
+  if (Number.isNaN(age) || age > MAX_CONSENT_AGE_MS || age < -CLOCK_SKEW_MS) {
+    return { error: 'Your consent has expired; please accept the privacy notice again' };
+  }
+
+  return { consent: { accepted: true, version, acceptedAt, recordedAt: new Date() } };
+}
+
+module.exports = {
+  validateConsent
+};
@@ -0,0 +1,54 @@
+const Event = require('../models/Event');
+
+/**
+ * Merge the end of an episode into the record stored when it started
+ * @param {string} sessionId
+ * @param {object} episode - { id, endedAt, duration, peakConfidence } from the closing event
+ * @returns {Promise<object|null>} The updated event, or null if the start was never stored
+ */
+async function closeStoredEpisode(sessionId, episode) {
+  const update = {
+    $set: {
+      'episode.status': 'closed',
+      'episode.endedAt': episode.endedAt,
+      'episode.duration': episode.duration
+    }
+  };
+  if (typeof episode.peakConfidence === 'number') {
+    update.$max = { 'episode.peakConfidence': episode.peakConfidence };
+  }
+
+  return Event.findOneAndUpdate(
+    { sessionId, 'episode.id': String(episode.id) },
+    update,
+    { new: true, runValidators: true }
+  );
+}
+
+/**
+ * Close every episode of a session that is still open, ending it when the session ended.
+ * Covers clients that disappear (or are terminated) mid-episode.
+ * @param {string} sessionId
+ * @param {Date} endedAt
+ * @returns {Promise<number>} Number of episodes closed
+ */
+async function closeOpenEpisodes(sessionId, endedAt) {
+  const result = await Event.updateMany(
+    { sessionId, 'episode.status': 'open' },
+    [{
+      $set: {
+        'episode.status': 'closed',
+        'episode.endedAt': { $max: ['$episode.startedAt', endedAt] },
+        'episode.duration': {
+          $max: [0, { $round: [{ $divide: [{ $subtract: [endedAt, '$episode.startedAt'] }, 1000] }, 0] }]
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  closeStoredEpisode,
+  closeOpenEpisodes
+};
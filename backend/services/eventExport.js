@@ -0,0 +1,149 @@
+const { once } = require('events');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const { dateParam } = require('./sessionSearch');
+
+// Sessions whose events are read with one query; bounds memory however many sessions match
+const EXPORT_SESSION_PAGE_SIZE = parseInt(process.env.EXPORT_SESSION_PAGE_SIZE, 10) || 500;
+
+const CSV_COLUMNS = ['eventId', 'sessionId', 'examId', 'type', 'severity', 'source', 'timestamp', 'details', 'hasScreenshot'];
+
+/**
+ * Build a Mongo filter from the type/severity/startDate/endDate query parameters
+ * shared by the event listing and export routes
+ * @param {object} params - req.query
+ * @param {object} [base] - Filter to extend (e.g. { sessionId })
+ * @returns {object}
+ * @throws {Error} with status 400 if startDate or endDate is not a date
+ */
+function buildEventFilter({ type, severity, startDate, endDate }, base = {}) {
+  const query = { ...base };
+
+  if (type) {
+    query.type = Array.isArray(type) ? { $in: type } : type;
+  }
+
+  if (severity) {
+    query.severity = Array.isArray(severity) ? { $in: severity } : severity;
+  }
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = dateParam(startDate, 'startDate');
+    if (endDate) query.timestamp.$lte = dateParam(endDate, 'endDate');
+  }
+
+  return query;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an event into export columns (screenshots are referenced, not embedded)
+ * @param {object} event - Lean event document
+ * @param {string|null} examId - Exam of the event's session
+ * @returns {object}
+ */
+function toExportRecord(event, examId) {
+  return {
+    eventId: event._id.toString(),
+    sessionId: event.sessionId,
+    examId: examId || null,
+    type: event.type,
+    severity: event.severity,
+    source: event.source,
+    timestamp: event.timestamp,
+    details: event.details || {},
+    hasScreenshot: Boolean(event.screenshot)
+  };
+}
+
+/**
+ * Events of the sessions matching a filter, read through cursors a page of sessions at a time
+ * so neither the sessions nor their events are ever all in memory.
+ * Events come in session start order, and by timestamp within each page of sessions.
+ * @param {object} sessionFilter - Session filter (e.g. { examId })
+ * @param {object} eventParams - type/severity/startDate/endDate, see buildEventFilter()
+ * @returns {AsyncGenerator<{ event: object, examId: string }>}
+ */
+async function* exportEvents(sessionFilter, eventParams) {
+  const sessions = Session.find(sessionFilter).select('sessionId examId').sort({ startTime: 1, _id: 1 }).lean().cursor();
+
+  async function* pageEvents(examBySession) {
+    const events = Event.find(buildEventFilter(eventParams, { sessionId: { $in: Array.from(examBySession.keys()) } }))
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor();
+    try {
+      for await (const event of events) {
+        yield { event, examId: examBySession.get(event.sessionId) };
+      }
+    } finally {
+      await events.close().catch(() => {});
+    }
+  }
+
+  try {
+    let page = new Map();
+    for await (const session of sessions) {
+      page.set(session.sessionId, session.examId);
+      if (page.size >= EXPORT_SESSION_PAGE_SIZE) {
+        yield* pageEvents(page);
+        page = new Map();
+      }
+    }
+    if (page.size > 0) yield* pageEvents(page);
+  } finally {
+    await sessions.close().catch(() => {});
+  }
+}
+
+/**
+ * Stream events as CSV or NDJSON, one document at a time,
+ * respecting backpressure so large exports never sit in memory
+ * @param {AsyncIterable<{ event: object, examId: string }>} events - e.g. exportEvents()
+ * @param {import('express').Response} res
+ * @param {'csv'|'ndjson'} format
+ * @returns {Promise<number>} Number of events written
+ */
+async function streamEvents(events, res, format) {
+  let count = 0;
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      // Stop waiting if the client disconnects mid-export
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  if (format === 'csv') {
+    await write(`${CSV_COLUMNS.join(',')}\n`);
+  }
+
+  // Leaving the loop (e.g. when the client disconnects) closes the underlying cursors
+  for await (const { event, examId } of events) {
+    if (res.destroyed) break;
+
+    const record = toExportRecord(event, examId);
+    const line = format === 'csv'
+      ? CSV_COLUMNS.map(column => csvValue(record[column])).join(',')
+      : JSON.stringify(record);
+    await write(`${line}\n`);
+    count += 1;
+  }
+
+  res.end();
+  return count;
+}
+
+module.exports = {
+  buildEventFilter,
+  exportEvents,
+  streamEvents
+};
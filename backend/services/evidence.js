@@ -0,0 +1,119 @@
+const { v4: uuidv4 } = require('uuid');
+const { getEvidenceStore } = require('./evidenceStore');
+
+const EVIDENCE_URL_PREFIX = '/api/evidence/';
+const MAX_SCREENSHOT_BYTES = parseInt(process.env.MAX_SCREENSHOT_BYTES, 10) || 2 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const CONTENT_TYPES = Object.entries(IMAGE_TYPES).reduce((types, [type, ext]) => {
+  types[ext] = type;
+  return types;
+}, { webm: 'video/webm' });
+
+// Session IDs are UUIDs and file names are generated here, so both are restricted
+const SAFE_SEGMENT = /^[\w-]+$/;
+const SAFE_FILE_NAME = /^[\w-]+\.(jpg|png|webp|webm)$/;
+
+/**
+ * Map a public evidence URL back to its store key
+ * @param {string} url - e.g. /api/evidence/<sessionId>/<file>
+ * @returns {string|null}
+ */
+function keyFromUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith(EVIDENCE_URL_PREFIX)) return null;
+  const [sessionId, fileName, ...rest] = url.slice(EVIDENCE_URL_PREFIX.length).split('/');
+  if (rest.length || !isValidEvidencePath(sessionId, fileName)) return null;
+  return `${sessionId}/${fileName}`;
+}
+
+function isValidEvidencePath(sessionId, fileName) {
+  return SAFE_SEGMENT.test(sessionId || '') && SAFE_FILE_NAME.test(fileName || '');
+}
+
+function contentTypeFor(fileName) {
+  return CONTENT_TYPES[fileName.split('.').pop()] || 'application/octet-stream';
+}
+
+const DATA_URI = /^data:(image\/[\w+.-]+);base64,(.+)$/;
+
+/**
+ * Why a client-supplied screenshot can't be accepted. Only inline images and evidence this
+ * session already stored are allowed: outside URLs would put third-party content in reports.
+ * @param {string} sessionId
+ * @param {*} screenshot
+ * @returns {string|null} The error, or null if it is acceptable (or absent)
+ */
+function screenshotError(sessionId, screenshot) {
+  if (screenshot === undefined || screenshot === null || screenshot === '') return null;
+  if (typeof screenshot !== 'string') return 'Screenshot must be a data URI';
+  if (DATA_URI.test(screenshot)) return null;
+
+  const key = keyFromUrl(screenshot);
+  if (key && key.startsWith(`${sessionId}/`)) return null;
+  return 'Screenshot must be a data URI or evidence stored for this session';
+}
+
+/**
+ * Persist a screenshot sent by the client and return the URL to store on the event.
+ * Base64 data URIs are written to the evidence store; evidence URLs of the same session are kept.
+ * @param {string} sessionId
+ * @param {string} screenshot - data URI or /api/evidence/<sessionId>/<file>
+ * @returns {Promise<string|null>}
+ * @throws {Error} If the screenshot is not acceptable (see screenshotError())
+ */
+async function storeScreenshot(sessionId, screenshot) {
+  const error = screenshotError(sessionId, screenshot);
+  if (error) throw new Error(error);
+  if (!screenshot) return null;
+
+  const match = DATA_URI.exec(screenshot);
+  if (!match) return screenshot;
+
+  const extension = IMAGE_TYPES[match[1]];
+  if (!extension) {
+    throw new Error(`Unsupported screenshot type: ${match[1]}`);
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_SCREENSHOT_BYTES) {
+    throw new Error(`Screenshot exceeds ${MAX_SCREENSHOT_BYTES} bytes`);
+  }
+
+  const fileName = `${Date.now()}-${uuidv4()}.${extension}`;
+  await getEvidenceStore().save(`${sessionId}/${fileName}`, buffer);
+  return `${EVIDENCE_URL_PREFIX}${sessionId}/${fileName}`;
+}
+
+/**
+ * Load a stored screenshot as a data URI so reports can embed it
+ * @param {string} url - Value of Event.screenshot
+ * @returns {Promise<string|null>} Data URI, or null if missing. Anything else (e.g. an outside URL
+ *   stored before those were refused) is left out so reports never load third-party content.
+ */
+async function screenshotAsDataUri(url) {
+  if (typeof url === 'string' && DATA_URI.test(url)) return url;
+  const key = keyFromUrl(url);
+  if (!key) return null;
+
+  try {
+    const buffer = await getEvidenceStore().read(key);
+    return `data:${contentTypeFor(key)};base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    console.error('Error loading evidence:', key, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  EVIDENCE_URL_PREFIX,
+  isValidEvidencePath,
+  contentTypeFor,
+  screenshotError,
+  storeScreenshot,
+  screenshotAsDataUri
+};
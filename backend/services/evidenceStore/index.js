@@ -0,0 +1,52 @@
+const path = require('path');
+const createLocalStore = require('./localStore');
+
+/**
+ * Evidence files (screenshots, recordings) are kept out of MongoDB in a
+ * pluggable store. A store is an object with:
+ *   save(key, buffer) -> Promise<key>
+ *   read(key) -> Promise<Buffer>
+ *   exists(key) -> Promise<boolean>
+ *   createReadStream(key, [{ start, end }]) -> Readable (byte offsets, inclusive)
+ *   remove(key) -> Promise<void>
+ *
+ * The driver is chosen with EVIDENCE_STORE (default 'local'); additional
+ * drivers (S3, GCS, ...) can be added with registerEvidenceStore().
+ */
+const drivers = {
+  local: () => createLocalStore({
+    baseDir: process.env.EVIDENCE_DIR || path.join(__dirname, '../../storage/evidence')
+  })
+};
+
+let store = null;
+
+/**
+ * Register a store factory under a driver name
+ * @param {string} name
+ * @param {function(): object} factory
+ */
+function registerEvidenceStore(name, factory) {
+  drivers[name] = factory;
+}
+
+/**
+ * Get the configured store (created on first use)
+ * @returns {object}
+ */
+function getEvidenceStore() {
+  if (!store) {
+    const driver = process.env.EVIDENCE_STORE || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown evidence store: ${driver}`);
+    }
+    store = drivers[driver]();
+    console.log(`Evidence store: ${store.name || driver}`);
+  }
+  return store;
+}
+
+module.exports = {
+  registerEvidenceStore,
+  getEvidenceStore
+};
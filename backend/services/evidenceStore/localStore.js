@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Evidence store that keeps files on the local disk under `baseDir`
+ * @param {object} options
+ * @param {string} options.baseDir
+ */
+function createLocalStore({ baseDir }) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    // Keys are generated server-side, but never let one escape the base directory
+    if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error(`Invalid evidence key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    async read(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key, range) {
+      return fs.createReadStream(resolveKey(key), range);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = createLocalStore;
@@ -0,0 +1,42 @@
+// face-api.js face descriptors are 128 floats; faces of the same person are usually within 0.6 of each other
+const DESCRIPTOR_LENGTH = 128;
+const MAX_ENROLLMENT_DESCRIPTORS = 5;
+
+/**
+ * Whether a value looks like a face-api.js face descriptor
+ * @param {*} descriptor
+ * @returns {boolean}
+ */
+function isValidDescriptor(descriptor) {
+  return Array.isArray(descriptor) &&
+    descriptor.length === DESCRIPTOR_LENGTH &&
+    descriptor.every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Euclidean distance between two descriptors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function euclideanDistance(a, b) {
+  return Math.sqrt(a.reduce((sum, value, index) => sum + (value - b[index]) ** 2, 0));
+}
+
+/**
+ * Distance from a live descriptor to the closest enrolled one
+ * @param {number[]} descriptor
+ * @param {number[][]} references - Enrolled descriptors
+ * @returns {number} Infinity without references
+ */
+function closestDistance(descriptor, references) {
+  return references.reduce((best, reference) => Math.min(best, euclideanDistance(descriptor, reference)), Infinity);
+}
+
+module.exports = {
+  DESCRIPTOR_LENGTH,
+  MAX_ENROLLMENT_DESCRIPTORS,
+  isValidDescriptor,
+  euclideanDistance,
+  closestDistance
+};
@@ -0,0 +1,215 @@
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+
+/**
+ * Default scoring configuration. Exams can override any part of it through
+ * Exam.scoring; missing keys fall back to these values.
+ *
+ * A session starts at 100 points. Every incident (a run of consecutive events of
+ * the same type) costs its type weight, and continuous conditions additionally
+ * cost their duration weight per second they lasted. Both are scaled by the
+ * highest severity seen in the incident.
+ */
+const DEFAULT_SCORING = {
+  typeWeights: {
+    no_face: 3,
+    face_lost: 2,
+    looking_away: 3,
+    face_mismatch: 10,
+    multiple_faces: 8,
+    suspicious_object: 5,
+    forbidden_object: 10,
+    tab_switch: 4,
+    window_resize: 1,
+    copy_paste: 5,
+    print_screen: 6,
+    focus_loss: 2,
+    context_menu: 1,
+    devtools_open: 8,
+    fullscreen_exit: 4,
+    speech_detected: 1,
+    sustained_speech: 4,
+    multiple_voices: 8,
+    screen_share_stopped: 8,
+    partial_screen_share: 6,
+    multiple_displays: 6
+  },
+  durationWeights: {
+    no_face: 0.5,
+    face_lost: 0.5,
+    looking_away: 0.3,
+    multiple_faces: 1,
+    suspicious_object: 0.5,
+    forbidden_object: 1,
+    tab_switch: 0.5,
+    focus_loss: 0.5,
+    sustained_speech: 0.3,
+    multiple_voices: 1
+  },
+  severityMultipliers: {
+    info: 0.5,
+    warning: 1,
+    error: 1.5,
+    critical: 2
+  },
+  // Scores at or above `medium` are low risk, at or above `high` medium risk, below that high risk
+  riskThresholds: {
+    medium: 80,
+    high: 50
+  },
+  // Events of the same type closer together than this belong to the same incident
+  mergeGapSeconds: 2
+};
+
+const SEVERITY_ORDER = ['info', 'warning', 'error', 'critical'];
+
+/**
+ * Merge an exam's scoring overrides over the defaults
+ * @param {object|null} [overrides] - Exam.scoring; null when the exam is gone
+ * @returns {object}
+ */
+function resolveScoringConfig(overrides) {
+  const custom = overrides || {};
+  return {
+    typeWeights: { ...DEFAULT_SCORING.typeWeights, ...(custom.typeWeights || {}) },
+    durationWeights: { ...DEFAULT_SCORING.durationWeights, ...(custom.durationWeights || {}) },
+    severityMultipliers: { ...DEFAULT_SCORING.severityMultipliers, ...(custom.severityMultipliers || {}) },
+    riskThresholds: { ...DEFAULT_SCORING.riskThresholds, ...(custom.riskThresholds || {}) },
+    mergeGapSeconds: custom.mergeGapSeconds ?? DEFAULT_SCORING.mergeGapSeconds
+  };
+}
+
+/**
+ * Group events of each scored type into incidents
+ * @param {Array<object>} events - Events sorted by timestamp ascending
+ * @param {object} config - Resolved scoring config
+ * @returns {Array<{ type: string, events: number, durationSeconds: number, severity: string }>}
+ */
+function groupIncidents(events, config) {
+  const incidents = [];
+  const open = {}; // type -> incident currently being extended
+
+  events.forEach(event => {
+    if (config.typeWeights[event.type] === undefined) return;
+
+    const time = new Date(event.timestamp).getTime();
+    // Episodes carry their measured duration; other events may report one in their details
+    const reportedDuration = Number((event.episode && event.episode.duration) ?? (event.details && event.details.duration)) || 0;
+    const current = open[event.type];
+
+    if (current && time - current.lastTime <= config.mergeGapSeconds * 1000) {
+      current.events += 1;
+      current.lastTime = time;
+      current.reportedDuration += reportedDuration;
+      if (SEVERITY_ORDER.indexOf(event.severity) > SEVERITY_ORDER.indexOf(current.severity)) {
+        current.severity = event.severity;
+      }
+      return;
+    }
+
+    const incident = {
+      type: event.type,
+      events: 1,
+      firstTime: time,
+      lastTime: time,
+      reportedDuration,
+      severity: event.severity || 'info'
+    };
+    open[event.type] = incident;
+    incidents.push(incident);
+  });
+
+  // Prefer the duration the client measured; otherwise use the span of the run
+  return incidents.map(incident => ({
+    type: incident.type,
+    events: incident.events,
+    severity: incident.severity,
+    durationSeconds: incident.reportedDuration || (incident.lastTime - incident.firstTime) / 1000
+  }));
+}
+
+/**
+ * Map a score onto a risk level
+ * @param {number} score
+ * @param {object} thresholds - { medium, high }
+ * @returns {'low'|'medium'|'high'}
+ */
+function classifyRisk(score, thresholds) {
+  if (score >= thresholds.medium) return 'low';
+  if (score >= thresholds.high) return 'medium';
+  return 'high';
+}
+
+/**
+ * Compute an integrity score from a session's events
+ * @param {Array<object>} events - Events sorted by timestamp ascending
+ * @param {object} [overrides] - Exam.scoring overrides
+ * @returns {{ score: number, riskLevel: string, breakdown: object, eventCount: number }}
+ */
+function computeIntegrityScore(events, overrides) {
+  const config = resolveScoringConfig(overrides);
+  const breakdown = {};
+  let totalPenalty = 0;
+
+  groupIncidents(events, config).forEach(incident => {
+    const multiplier = config.severityMultipliers[incident.severity] ?? 1;
+    const penalty = (config.typeWeights[incident.type] +
+      (config.durationWeights[incident.type] || 0) * incident.durationSeconds) * multiplier;
+
+    const entry = breakdown[incident.type] || (breakdown[incident.type] = {
+      incidents: 0,
+      events: 0,
+      durationSeconds: 0,
+      penalty: 0
+    });
+    entry.incidents += 1;
+    entry.events += incident.events;
+    entry.durationSeconds += incident.durationSeconds;
+    entry.penalty += penalty;
+    totalPenalty += penalty;
+  });
+
+  Object.values(breakdown).forEach(entry => {
+    entry.durationSeconds = Math.round(entry.durationSeconds);
+    entry.penalty = Math.round(entry.penalty * 10) / 10;
+  });
+
+  const score = Math.max(0, Math.round((100 - totalPenalty) * 10) / 10);
+
+  return {
+    score,
+    riskLevel: classifyRisk(score, config.riskThresholds),
+    breakdown,
+    eventCount: events.length
+  };
+}
+
+/**
+ * Score a session from its stored events and save the result on the session
+ * @param {object} session - Session document
+ * @returns {Promise<object>} The stored integrity result
+ */
+async function scoreSession(session) {
+  const [exam, events] = await Promise.all([
+    Exam.findOne({ examId: session.examId }).lean(),
+    Event.find({ sessionId: session.sessionId }).sort({ timestamp: 1 }).lean()
+  ]);
+
+  const integrity = {
+    ...computeIntegrityScore(events, exam && exam.scoring),
+    computedAt: new Date()
+  };
+
+  session.integrity = integrity;
+  await session.save();
+
+  return integrity;
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  resolveScoringConfig,
+  computeIntegrityScore,
+  classifyRisk,
+  scoreSession
+};
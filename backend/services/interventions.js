@@ -0,0 +1,74 @@
+const Event = require('../models/Event');
+const { broadcastEvent, sendToCandidate } = require('./realtime');
+const { transitionSession, canTransition, isTerminal, SessionTransitionError } = require('./sessionLifecycle');
+
+/**
+ * Commands a proctor can send to a candidate, with the message shown when none is given.
+ * `status` is the session status the command moves the session to, if any.
+ */
+const INTERVENTIONS = {
+  warning: { message: 'Please keep your attention on the exam.', severity: 'warning' },
+  recenter: { message: 'Please re-center yourself in front of the camera.', severity: 'info' },
+  pause: { message: 'Your exam has been paused by the proctor.', severity: 'warning', status: 'paused' },
+  terminate: { message: 'Your exam has been terminated by the proctor.', severity: 'error', status: 'terminated' }
+};
+
+/**
+ * Send a proctor command to a candidate session. The command is stored as a
+ * proctor_intervention event (source 'api') naming the proctor, pushed to the
+ * candidate client, and pause/terminate also change the session status.
+ * @param {object} session - Session document
+ * @param {object} intervention
+ * @param {string} intervention.action - One of INTERVENTIONS
+ * @param {string} [intervention.message] - Text shown to the candidate
+ * @param {object} actor - req.user of the proctor
+ * @returns {Promise<{ event: object, session: object, delivered: boolean }>}
+ * @throws {SessionTransitionError} If the session has already ended or can't be paused
+ */
+async function issueIntervention(session, { action, message }, actor) {
+  const config = INTERVENTIONS[action];
+  // Check up front so a rejected pause/terminate doesn't leave an intervention in the audit trail
+  if (isTerminal(session.status) || (config.status && !canTransition(session.status, config.status))) {
+    throw new SessionTransitionError(session.status, config.status || session.status);
+  }
+
+  const text = (typeof message === 'string' && message.trim()) || config.message;
+  const issuedBy = { id: actor.id, role: actor.role, name: actor.name };
+
+  const event = await Event.create({
+    sessionId: session.sessionId,
+    type: 'proctor_intervention',
+    severity: config.severity,
+    source: 'api',
+    details: { message: `Proctor ${action}: ${text}`, action, text, issuedBy }
+  });
+  broadcastEvent(event, session);
+
+  // Show the command before a pause/terminate update reaches the candidate
+  const delivered = sendToCandidate(session.sessionId, {
+    type: 'intervention',
+    interventionId: event._id,
+    action,
+    message: text,
+    issuedBy: actor.name,
+    timestamp: event.timestamp
+  }) > 0;
+
+  let updated = session;
+  if (config.status) {
+    ({ session: updated } = await transitionSession(session, config.status, {
+      reason: `proctor_${action}`,
+      actor,
+      source: 'api',
+      details: { interventionId: event._id }
+    }));
+  }
+
+  console.log(`Intervention ${action} on session ${session.sessionId} by ${actor.name} (delivered: ${delivered})`);
+  return { event, session: updated, delivered };
+}
+
+module.exports = {
+  INTERVENTIONS,
+  issueIntervention
+};
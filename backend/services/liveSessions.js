@@ -0,0 +1,106 @@
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const { computeIntegrityScore, resolveScoringConfig } = require('./integrityScore');
+
+const RUNNING_STATUSES = ['active', 'paused'];
+const RECENT_ALERT_LIMIT = 5;
+
+/**
+ * Seconds a session has been running, excluding paused time
+ * @param {object} session - Lean session
+ * @param {Date} now
+ * @returns {number}
+ */
+function elapsedSeconds(session, now) {
+  const openPause = session.status === 'paused' && session.pausedAt ? now - session.pausedAt : 0;
+  const elapsed = (now - session.startTime - openPause) / 1000 - (session.pausedDuration || 0);
+  return Math.max(0, Math.round(elapsed));
+}
+
+/**
+ * Summarize every running session of an exam for the proctor grid: elapsed time,
+ * the integrity score of the events so far and the latest alerts. Sorted riskiest first.
+ * @param {object} exam - Exam document (its scoring overrides apply)
+ * @returns {Promise<object[]>}
+ */
+async function buildLiveSessions(exam) {
+  const now = new Date();
+  const sessions = await Session.find({ examId: exam.examId, status: { $in: RUNNING_STATUSES } })
+    .select('sessionId candidateName candidateId status startTime pausedAt pausedDuration lastActivity')
+    .lean();
+
+  if (sessions.length === 0) return [];
+
+  const sessionIds = sessions.map(session => session.sessionId);
+  const config = resolveScoringConfig(exam.scoring);
+
+  // Counts and the latest alerts come from aggregates; only scored events are loaded,
+  // and only with the fields the score needs
+  const [counts, alerts, scoredEvents] = await Promise.all([
+    Event.aggregate([
+      { $match: { sessionId: { $in: sessionIds } } },
+      { $group: { _id: '$sessionId', count: { $sum: 1 } } }
+    ]),
+    Event.aggregate([
+      { $match: { sessionId: { $in: sessionIds }, severity: { $ne: 'info' } } },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$sessionId',
+          alerts: {
+            $push: {
+              _id: '$_id',
+              type: '$type',
+              severity: '$severity',
+              timestamp: '$timestamp',
+              message: '$details.message'
+            }
+          }
+        }
+      },
+      { $project: { alerts: { $slice: ['$alerts', RECENT_ALERT_LIMIT] } } }
+    ]),
+    Event.find({ sessionId: { $in: sessionIds }, type: { $in: Object.keys(config.typeWeights) } })
+      .select('sessionId type severity timestamp episode.duration details.duration')
+      .sort({ timestamp: 1 })
+      .lean()
+  ]);
+
+  const countBySession = new Map(counts.map(entry => [entry._id, entry.count]));
+  const alertsBySession = new Map(alerts.map(entry => [entry._id, entry.alerts]));
+  const eventsBySession = scoredEvents.reduce((groups, event) => {
+    if (!groups.has(event.sessionId)) groups.set(event.sessionId, []);
+    groups.get(event.sessionId).push(event);
+    return groups;
+  }, new Map());
+
+  return sessions
+    .map((session) => {
+      const { score, riskLevel } = computeIntegrityScore(eventsBySession.get(session.sessionId) || [], exam.scoring);
+      const recentAlerts = (alertsBySession.get(session.sessionId) || []).map(alert => ({
+        ...alert,
+        message: alert.message || alert.type.replace(/_/g, ' ')
+      }));
+
+      return {
+        sessionId: session.sessionId,
+        candidateName: session.candidateName,
+        candidateId: session.candidateId,
+        status: session.status,
+        startTime: session.startTime,
+        pausedAt: session.pausedAt,
+        pausedDuration: session.pausedDuration || 0,
+        lastActivity: session.lastActivity,
+        elapsedSeconds: elapsedSeconds(session, now),
+        score,
+        riskLevel,
+        eventCount: countBySession.get(session.sessionId) || 0,
+        recentAlerts
+      };
+    })
+    .sort((a, b) => a.score - b.score);
+}
+
+module.exports = {
+  buildLiveSessions
+};
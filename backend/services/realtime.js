@@ -0,0 +1,432 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const Event = require('../models/Event');
+const { resolveUser, tokenFromRequest } = require('../middleware/auth');
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30000;
+const REPLAY_LIMIT = 200;
+
+// Channel name -> WebSocketServer handling upgrades for that path
+const channels = new Map();
+
+// Who may open each channel. Candidates connect with their session-scoped token,
+// so each candidate socket is bound to exactly one session.
+const CHANNEL_ACCESS = {
+  '/ws/interviewer': user => ['proctor', 'admin'].includes(user.role),
+  '/ws/candidate': user => user.scope === 'session' && Boolean(user.sessionId)
+};
+
+// Topic ('session:<sessionId>' or 'exam:<examId>') -> Set of subscribed sockets
+const subscriptions = new Map();
+
+// sessionId -> Set of candidate sockets for that session
+const candidateSockets = new Map();
+
+let heartbeatTimer = null;
+
+/**
+ * Serialize and send a message, ignoring sockets that are not open
+ * @param {WebSocket} ws
+ * @param {object} message
+ */
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Build a human-readable line for the dashboard activity log
+ * @param {object} event - Event document or plain object
+ * @returns {string}
+ */
+function describeEvent(event) {
+  const text = event.details && typeof event.details.message === 'string'
+    ? event.details.message
+    : event.type.replace(/_/g, ' ');
+  // A closed episode is re-broadcast with how long it lasted
+  return event.episode && event.episode.status === 'closed' ? `${text} (${event.episode.duration}s)` : text;
+}
+
+/**
+ * Resolve the topic a subscribe/unsubscribe message refers to
+ * @param {object} message
+ * @returns {string|null}
+ */
+function topicFor(message) {
+  if (message.sessionId) return `session:${message.sessionId}`;
+  if (message.examId) return `exam:${message.examId}`;
+  return null;
+}
+
+function subscribe(ws, topic) {
+  if (!subscriptions.has(topic)) {
+    subscriptions.set(topic, new Set());
+  }
+  subscriptions.get(topic).add(ws);
+  ws.topics.add(topic);
+}
+
+function unsubscribe(ws, topic) {
+  const sockets = subscriptions.get(topic);
+  if (sockets) {
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      subscriptions.delete(topic);
+    }
+  }
+  ws.topics.delete(topic);
+}
+
+/**
+ * Send a message once to every socket subscribed to the session or its exam
+ * @param {string} sessionId
+ * @param {string} [examId]
+ * @param {object} message
+ */
+function publish(sessionId, examId, message) {
+  const recipients = new Set([
+    ...(subscriptions.get(`session:${sessionId}`) || []),
+    ...(examId ? subscriptions.get(`exam:${examId}`) || [] : [])
+  ]);
+  recipients.forEach(ws => send(ws, message));
+}
+
+/**
+ * Send events the client missed while disconnected
+ * @param {WebSocket} ws
+ * @param {string} sessionId
+ * @param {string} since - ISO timestamp of the last event the client saw
+ */
+async function replayMissedEvents(ws, sessionId, since) {
+  const sinceDate = new Date(since);
+  if (Number.isNaN(sinceDate.getTime())) return;
+
+  try {
+    const events = await Event.find({ sessionId, timestamp: { $gt: sinceDate } })
+      .sort({ timestamp: 1 })
+      .limit(REPLAY_LIMIT)
+      .lean();
+
+    events.forEach(event => send(ws, {
+      type: 'event',
+      sessionId,
+      replayed: true,
+      message: describeEvent(event),
+      event
+    }));
+  } catch (error) {
+    console.error('Error replaying events for session:', sessionId, error);
+  }
+}
+
+/**
+ * Parse a client frame; anything but a JSON object is answered with an error
+ * @param {WebSocket} ws
+ * @param {Buffer|string} raw
+ * @returns {object|null} The message, or null if it was rejected
+ */
+function parseMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    send(ws, { type: 'error', error: 'Invalid JSON message' });
+    return null;
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    send(ws, { type: 'error', error: 'Message must be a JSON object' });
+    return null;
+  }
+  return message;
+}
+
+/**
+ * Run a message handler so a frame it can't handle closes only its own socket
+ * @param {WebSocket} ws
+ * @param {function} handler - (ws, raw) => void
+ * @param {Buffer|string} raw
+ */
+function handleSafely(ws, handler, raw) {
+  try {
+    handler(ws, raw);
+  } catch (error) {
+    console.error('Error handling WebSocket message:', error);
+    ws.close(1011, 'Internal error');
+  }
+}
+
+function handleInterviewerMessage(ws, raw) {
+  const message = parseMessage(ws, raw);
+  if (!message) return;
+
+  const topic = topicFor(message);
+
+  switch (message.type) {
+    case 'subscribe':
+      if (!topic) {
+        return send(ws, { type: 'error', error: 'Session ID or exam ID is required' });
+      }
+      subscribe(ws, topic);
+      send(ws, { type: 'subscribed', sessionId: message.sessionId, examId: message.examId });
+      if (message.sessionId && message.since) {
+        replayMissedEvents(ws, message.sessionId, message.since);
+      }
+      break;
+
+    case 'unsubscribe':
+      if (topic) {
+        unsubscribe(ws, topic);
+        send(ws, { type: 'unsubscribed', sessionId: message.sessionId, examId: message.examId });
+      }
+      break;
+
+    case 'ping':
+      send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+      break;
+
+    default:
+      send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+}
+
+/**
+ * Common socket setup: liveness tracking for the heartbeat and error logging
+ * @param {WebSocket} ws
+ * @param {object} user
+ */
+function trackSocket(ws, user) {
+  ws.user = user;
+  ws.isAlive = true;
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error.message);
+  });
+}
+
+function handleInterviewerConnection(ws, req, user) {
+  trackSocket(ws, user);
+  ws.topics = new Set();
+
+  ws.on('message', (raw) => {
+    ws.isAlive = true;
+    handleSafely(ws, handleInterviewerMessage, raw);
+  });
+
+  ws.on('close', () => {
+    Array.from(ws.topics).forEach(topic => unsubscribe(ws, topic));
+  });
+
+  send(ws, { type: 'connected', heartbeatInterval: HEARTBEAT_INTERVAL_MS });
+
+  // Allow subscribing straight from the connection URL: /ws/interviewer?sessionId=a,b
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  (searchParams.get('sessionId') || '').split(',').filter(Boolean).forEach(sessionId => {
+    subscribe(ws, `session:${sessionId}`);
+    send(ws, { type: 'subscribed', sessionId });
+  });
+}
+
+function handleCandidateMessage(ws, raw) {
+  const message = parseMessage(ws, raw);
+  if (!message) return;
+
+  switch (message.type) {
+    case 'ack':
+      // Let the proctor see that the candidate dismissed an intervention
+      publish(ws.sessionId, null, {
+        type: 'intervention_ack',
+        sessionId: ws.sessionId,
+        interventionId: message.interventionId,
+        timestamp: new Date().toISOString()
+      });
+      break;
+
+    case 'ping':
+      send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+      break;
+
+    default:
+      send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+}
+
+function handleCandidateConnection(ws, req, user) {
+  trackSocket(ws, user);
+  ws.sessionId = user.sessionId;
+
+  if (!candidateSockets.has(ws.sessionId)) {
+    candidateSockets.set(ws.sessionId, new Set());
+  }
+  candidateSockets.get(ws.sessionId).add(ws);
+
+  ws.on('message', (raw) => {
+    ws.isAlive = true;
+    handleSafely(ws, handleCandidateMessage, raw);
+  });
+
+  ws.on('close', () => {
+    const sockets = candidateSockets.get(ws.sessionId);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        candidateSockets.delete(ws.sessionId);
+      }
+    }
+  });
+
+  send(ws, { type: 'connected', sessionId: ws.sessionId, heartbeatInterval: HEARTBEAT_INTERVAL_MS });
+}
+
+/**
+ * Terminate sockets that did not answer the previous ping and ping the rest
+ */
+function checkHeartbeats() {
+  channels.forEach(wss => {
+    wss.clients.forEach(ws => {
+      if (ws.isAlive === false) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  });
+}
+
+/**
+ * Authenticate an upgrade request from the auth cookie, a Bearer header or ?token=
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<object|null>} The verified user, or null
+ */
+async function authenticateUpgrade(req) {
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const token = searchParams.get('token') || tokenFromRequest(req);
+  if (!token) return null;
+
+  try {
+    return await resolveUser(token);
+  } catch (error) {
+    console.error('Error authenticating WebSocket upgrade:', error);
+    return null;
+  }
+}
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Mount the WebSocket endpoints on an existing HTTP server
+ * @param {import('http').Server} server
+ */
+function initRealtime(server) {
+  channels.set('/ws/interviewer', new WebSocketServer({ noServer: true }));
+  channels.get('/ws/interviewer').on('connection', handleInterviewerConnection);
+  channels.set('/ws/candidate', new WebSocketServer({ noServer: true }));
+  channels.get('/ws/candidate').on('connection', handleCandidateConnection);
+
+  server.on('upgrade', async (req, socket, head) => {
+    // Nothing may escape this async listener: an unhandled rejection would stop the process
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const wss = channels.get(pathname);
+
+      if (!wss) {
+        return rejectUpgrade(socket, '404 Not Found');
+      }
+
+      const user = await authenticateUpgrade(req);
+      if (!user) {
+        return rejectUpgrade(socket, '401 Unauthorized');
+      }
+      if (!CHANNEL_ACCESS[pathname](user)) {
+        return rejectUpgrade(socket, '403 Forbidden');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, user);
+      });
+    } catch (error) {
+      console.error('Error handling WebSocket upgrade:', error.message);
+      rejectUpgrade(socket, '400 Bad Request');
+    }
+  });
+
+  heartbeatTimer = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL_MS);
+  server.on('close', closeRealtime);
+
+  console.log('WebSocket server listening on /ws/interviewer and /ws/candidate');
+}
+
+function closeRealtime() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  channels.forEach(wss => wss.close());
+  channels.clear();
+  subscriptions.clear();
+  candidateSockets.clear();
+}
+
+/**
+ * Send a message to the candidate client(s) of a session
+ * @param {string} sessionId
+ * @param {object} message
+ * @returns {number} Number of open candidate sockets it was sent to
+ */
+function sendToCandidate(sessionId, message) {
+  const sockets = Array.from(candidateSockets.get(sessionId) || [])
+    .filter(ws => ws.readyState === WebSocket.OPEN);
+  sockets.forEach(ws => send(ws, message));
+  return sockets.length;
+}
+
+/**
+ * Push a stored event to every interviewer watching its session or exam
+ * @param {object} event - Event document
+ * @param {object} [session] - Owning session, used to reach exam subscribers
+ */
+function broadcastEvent(event, session) {
+  publish(event.sessionId, session && session.examId, {
+    type: 'event',
+    sessionId: event.sessionId,
+    message: describeEvent(event),
+    event
+  });
+}
+
+/**
+ * Notify interviewers and the candidate client about a session lifecycle change
+ * @param {object} session - Session document
+ * @param {string} action - e.g. 'started' or 'ended'
+ * @param {object} [details]
+ */
+function broadcastSessionUpdate(session, action, details = {}) {
+  const message = {
+    type: 'session',
+    action,
+    sessionId: session.sessionId,
+    status: session.status,
+    candidateName: session.candidateName,
+    examId: session.examId,
+    timestamp: new Date().toISOString(),
+    details
+  };
+  publish(session.sessionId, session.examId, message);
+  // The candidate also needs to know when their session is paused, resumed or ended
+  sendToCandidate(session.sessionId, message);
+}
+
+module.exports = {
+  initRealtime,
+  closeRealtime,
+  broadcastEvent,
+  broadcastSessionUpdate,
+  sendToCandidate
+};
@@ -0,0 +1,214 @@
+const { PassThrough } = require('stream');
+const Session = require('../models/Session');
+const { getEvidenceStore } = require('./evidenceStore');
+
+const MAX_RECORDING_CHUNK_BYTES = parseInt(process.env.MAX_RECORDING_CHUNK_BYTES, 10) || 10 * 1024 * 1024;
+const RECORDING_MIME_TYPE = 'video/webm';
+// Segment IDs come from the client and end up in store keys
+const SAFE_SEGMENT_ID = /^[\w-]{1,64}$/;
+const MAX_CHUNK_INDEX = 99999;
+
+/**
+ * Store key of one recording chunk; zero-padded so keys sort in playback order
+ * @param {string} sessionId
+ * @param {string} segmentId
+ * @param {number} index
+ * @returns {string}
+ */
+function recordingChunkKey(sessionId, segmentId, index) {
+  return `${sessionId}/recording-${segmentId}-${String(index).padStart(5, '0')}.webm`;
+}
+
+// Attempts at listing a chunk while concurrent uploads of the same segment keep changing it
+const MAX_LIST_ATTEMPTS = 3;
+
+/**
+ * Add a chunk to an existing segment that doesn't list it yet
+ * @returns {Promise<boolean>}
+ */
+async function appendChunk(sessionId, segmentId, entry) {
+  const appended = await Session.findOneAndUpdate(
+    {
+      sessionId,
+      'recording.segments': { $elemMatch: { segmentId, 'chunks.index': { $ne: entry.index } } }
+    },
+    {
+      $push: { 'recording.segments.$.chunks': entry },
+      $inc: { 'recording.segments.$.size': entry.size },
+      $max: { 'recording.segments.$.endedAt': entry.recordedAt }
+    },
+    { new: true }
+  ).select('sessionId');
+  return Boolean(appended);
+}
+
+/**
+ * Update a chunk that is already listed with the size of the file that replaced it.
+ * The update only applies if the listed size is still the one read, so the segment size
+ * stays the sum of its chunks when uploads of the same chunk overlap.
+ * @returns {Promise<boolean>} false if the chunk isn't listed or changed meanwhile
+ */
+async function replaceChunk(sessionId, segmentId, entry) {
+  const session = await Session.findOne(
+    { sessionId, 'recording.segments.segmentId': segmentId },
+    { 'recording.segments.$': 1 }
+  ).lean();
+  const segment = session && session.recording.segments[0];
+  const listed = segment && segment.chunks.find(chunk => chunk.index === entry.index);
+  if (!listed) return false;
+
+  const replaced = await Session.findOneAndUpdate(
+    {
+      sessionId,
+      'recording.segments': {
+        $elemMatch: { segmentId, chunks: { $elemMatch: { index: entry.index, size: listed.size } } }
+      }
+    },
+    {
+      $set: {
+        'recording.segments.$[segment].chunks.$[chunk].size': entry.size,
+        'recording.segments.$[segment].chunks.$[chunk].recordedAt': entry.recordedAt
+      },
+      $inc: { 'recording.segments.$[segment].size': entry.size - listed.size },
+      $max: { 'recording.segments.$[segment].endedAt': entry.recordedAt }
+    },
+    { arrayFilters: [{ 'segment.segmentId': segmentId }, { 'chunk.index': entry.index }], new: true }
+  ).select('sessionId');
+  return Boolean(replaced);
+}
+
+/**
+ * Start a segment with its first chunk
+ * @returns {Promise<boolean>} false if the segment exists (or the session doesn't)
+ */
+async function createSegment(sessionId, segmentId, startedAt, entry) {
+  const created = await Session.findOneAndUpdate(
+    { sessionId, 'recording.segments.segmentId': { $ne: segmentId } },
+    {
+      $push: {
+        'recording.segments': {
+          segmentId,
+          mimeType: RECORDING_MIME_TYPE,
+          startedAt,
+          endedAt: entry.recordedAt,
+          size: entry.size,
+          chunks: [entry]
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  ).select('sessionId');
+  return Boolean(created);
+}
+
+/**
+ * Store one chunk of a session recording and add it to the session's segment list.
+ * A segment is one continuous MediaRecorder run (a new one starts after a pause or reload);
+ * its chunks are parts of a single WebM stream, so only the first carries the header.
+ * Re-uploading a chunk overwrites the stored file and its listed size.
+ * @param {string} sessionId
+ * @param {object} chunk
+ * @param {string} chunk.segmentId
+ * @param {number} chunk.index - Position of the chunk in its segment, from 0
+ * @param {Date} chunk.startedAt - When the segment started recording (client clock)
+ * @param {Date} chunk.recordedAt - When the chunk was emitted, i.e. the end of its footage
+ * @param {Buffer} chunk.buffer
+ * @returns {Promise<object|null>} The stored chunk entry, or null if the session doesn't exist
+ */
+async function storeRecordingChunk(sessionId, { segmentId, index, startedAt, recordedAt, buffer }) {
+  await getEvidenceStore().save(recordingChunkKey(sessionId, segmentId, index), buffer);
+  const entry = { index, size: buffer.length, recordedAt };
+
+  for (let attempt = 0; attempt < MAX_LIST_ATTEMPTS; attempt += 1) {
+    if (await appendChunk(sessionId, segmentId, entry)) return entry;
+    if (await replaceChunk(sessionId, segmentId, entry)) return entry;
+    if (await createSegment(sessionId, segmentId, startedAt, entry)) return entry;
+
+    if (!(await Session.exists({ sessionId }))) return null;
+    // Another upload created the segment or changed this chunk in between; try again against it
+  }
+
+  throw new Error(`Could not list recording chunk ${segmentId}/${index}: concurrent uploads kept changing it`);
+}
+
+/**
+ * Public description of a session's recording segments, oldest first
+ * @param {object} session - Session document or plain object
+ * @returns {Array<object>}
+ */
+function describeRecording(session) {
+  const segments = (session.recording && session.recording.segments) || [];
+  return segments
+    .map(segment => ({
+      segmentId: segment.segmentId,
+      mimeType: segment.mimeType,
+      startedAt: segment.startedAt,
+      endedAt: segment.endedAt,
+      duration: Math.max(0, Math.round((segment.endedAt - segment.startedAt) / 1000)),
+      size: segment.size,
+      chunkCount: segment.chunks.length,
+      url: `/api/session/${session.sessionId}/recording/${segment.segmentId}`
+    }))
+    .sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * Stream a segment's chunks one after another as a single WebM file.
+ * Missing chunks are skipped; WebM clusters play on without them.
+ * With a byte range only the chunks overlapping it are read, located through their stored
+ * sizes; a missing chunk then fails the stream, since skipping it would shift every offset.
+ * @param {string} sessionId
+ * @param {object} segment - Entry of Session.recording.segments
+ * @param {{ start: number, end: number }} [range] - Inclusive byte offsets within the segment
+ * @returns {import('stream').Readable}
+ */
+function createSegmentStream(sessionId, segment, range) {
+  const store = getEvidenceStore();
+  const output = new PassThrough();
+
+  let offset = 0;
+  const parts = [...segment.chunks]
+    .sort((a, b) => a.index - b.index)
+    .map((chunk) => {
+      const part = { index: chunk.index, start: offset, end: offset + chunk.size - 1 };
+      offset += chunk.size;
+      return part;
+    })
+    .filter(part => !range || (part.end >= range.start && part.start <= range.end));
+
+  const pipeNext = async (position) => {
+    if (position >= parts.length) return output.end();
+
+    const part = parts[position];
+    const key = recordingChunkKey(sessionId, segment.segmentId, part.index);
+    if (!(await store.exists(key))) {
+      console.error('Recording chunk missing:', key);
+      if (range) return output.destroy(new Error(`Recording chunk missing: ${key}`));
+      return pipeNext(position + 1);
+    }
+
+    const chunkStream = range
+      ? store.createReadStream(key, {
+        start: Math.max(range.start, part.start) - part.start,
+        end: Math.min(range.end, part.end) - part.start
+      })
+      : store.createReadStream(key);
+    chunkStream.on('error', error => output.destroy(error));
+    chunkStream.on('end', () => pipeNext(position + 1));
+    chunkStream.pipe(output, { end: false });
+  };
+
+  pipeNext(0).catch(error => output.destroy(error));
+  return output;
+}
+
+module.exports = {
+  MAX_RECORDING_CHUNK_BYTES,
+  RECORDING_MIME_TYPE,
+  SAFE_SEGMENT_ID,
+  MAX_CHUNK_INDEX,
+  recordingChunkKey,
+  storeRecordingChunk,
+  describeRecording,
+  createSegmentStream
+};
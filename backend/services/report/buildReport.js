@@ -0,0 +1,156 @@
+const Session = require('../../models/Session');
+const Event = require('../../models/Event');
+const Exam = require('../../models/Exam');
+const { screenshotAsDataUri } = require('../evidence');
+
+const SEVERITIES = ['critical', 'error', 'warning', 'info'];
+
+const SEVERITY_COLORS = {
+  critical: '#9b2c2c',
+  error: '#e53e3e',
+  warning: '#d69e2e',
+  info: '#4361ee'
+};
+
+/**
+ * Session duration in seconds, falling back to the start/end timestamps
+ * @param {object} session
+ * @returns {number}
+ */
+function sessionDurationSeconds(session) {
+  if (session.duration) return session.duration;
+  const end = session.endTime ? new Date(session.endTime) : new Date();
+  return Math.max(0, Math.round((end - new Date(session.startTime)) / 1000));
+}
+
+/**
+ * Format seconds as "1h 02m 03s"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}h ${pad(m)}m ${pad(s)}s` : `${m}m ${pad(s)}s`;
+}
+
+const formatTime = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '—');
+
+/**
+ * Text for the candidate's consent to monitoring
+ * @param {object|null} consent - Session.consent
+ * @returns {string}
+ */
+function describeConsent(consent) {
+  if (!consent || !consent.accepted) return 'Not recorded';
+  return `Accepted ${formatTime(consent.acceptedAt)} (notice version ${consent.version})`;
+}
+
+/**
+ * One-line text for an event's details
+ * @param {object} details
+ * @returns {string}
+ */
+function describeDetails(details) {
+  if (!details || typeof details !== 'object' || Object.keys(details).length === 0) return '';
+  if (typeof details.message === 'string') return details.message;
+  return JSON.stringify(details);
+}
+
+/**
+ * Label/value pairs for the report header, shared by every output format
+ * @param {object} report - Output of buildReport()
+ * @returns {Array<[string, string]>}
+ */
+function summaryRows(report) {
+  const { session, exam, candidate, integrity } = report;
+  return [
+    ['Candidate', candidate.name],
+    ['Exam', exam ? `${exam.title} (${exam.examId})` : session.examId],
+    ['Session ID', session.sessionId],
+    ['Status', session.status],
+    ['Started', formatTime(session.startTime)],
+    ['Ended', formatTime(session.endTime)],
+    ['Duration', report.durationText],
+    ['End reason', report.endReason || '—'],
+    ['Consent', describeConsent(report.consent)],
+    ['Integrity score', integrity ? `${integrity.score} / 100 (${integrity.riskLevel} risk)` : 'Not scored']
+  ];
+}
+
+/**
+ * Collect everything a session report needs
+ * @param {string} sessionId
+ * @returns {Promise<object|null>} Report data, or null if the session does not exist
+ */
+async function buildReport(sessionId) {
+  const session = await Session.findOne({ sessionId }).lean();
+  if (!session) return null;
+
+  const [exam, events] = await Promise.all([
+    Exam.findOne({ examId: session.examId }).lean(),
+    Event.find({ sessionId }).sort({ timestamp: 1 }).lean()
+  ]);
+
+  const timeline = SEVERITIES.reduce((groups, severity) => {
+    groups[severity] = [];
+    return groups;
+  }, {});
+  const totalsByType = {};
+  const screenshots = [];
+
+  events.forEach(event => {
+    const severity = timeline[event.severity] ? event.severity : 'info';
+    timeline[severity].push(event);
+    totalsByType[event.type] = (totalsByType[event.type] || 0) + 1;
+
+    if (event.screenshot) {
+      screenshots.push({
+        eventId: event._id,
+        type: event.type,
+        timestamp: event.timestamp,
+        image: event.screenshot
+      });
+    }
+  });
+
+  // Inline stored screenshots so the report is self-contained
+  await Promise.all(screenshots.map(async (shot) => {
+    shot.image = await screenshotAsDataUri(shot.image);
+  }));
+
+  const durationSeconds = sessionDurationSeconds(session);
+
+  return {
+    generatedAt: new Date(),
+    session,
+    exam,
+    candidate: {
+      name: session.candidateName,
+      id: session.candidateId
+    },
+    durationSeconds,
+    durationText: formatDuration(durationSeconds),
+    endReason: (session.metadata && session.metadata.endReason) || null,
+    consent: session.consent || null,
+    integrity: session.integrity || null,
+    eventCount: events.length,
+    timeline,
+    totalsByType: Object.entries(totalsByType)
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count),
+    screenshots: screenshots.filter(shot => shot.image)
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_COLORS,
+  buildReport,
+  summaryRows,
+  describeDetails,
+  formatDuration,
+  formatTime
+};
@@ -0,0 +1,112 @@
+const { SEVERITIES, SEVERITY_COLORS, summaryRows, formatTime, describeDetails } = require('./buildReport');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderHeader(report) {
+  return `
+    <table class="summary">
+      ${summaryRows(report).map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>`;
+}
+
+function renderTotals(report) {
+  if (report.totalsByType.length === 0) return '<p class="empty">No events recorded.</p>';
+  return `
+    <table class="totals">
+      <thead><tr><th>Event type</th><th>Count</th></tr></thead>
+      <tbody>
+        ${report.totalsByType.map(({ type, count }) => `<tr><td>${escapeHtml(type)}</td><td>${count}</td></tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function renderTimeline(report) {
+  return SEVERITIES.map(severity => {
+    const events = report.timeline[severity];
+    if (events.length === 0) return '';
+    return `
+      <h3 style="color: ${SEVERITY_COLORS[severity]}">${escapeHtml(severity)} (${events.length})</h3>
+      <table class="timeline">
+        <thead><tr><th>Time</th><th>Type</th><th>Source</th><th>Details</th></tr></thead>
+        <tbody>
+          ${events.map(event => `
+            <tr>
+              <td>${escapeHtml(formatTime(event.timestamp))}</td>
+              <td>${escapeHtml(event.type)}</td>
+              <td>${escapeHtml(event.source)}</td>
+              <td>${escapeHtml(describeDetails(event.details))}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }).join('');
+}
+
+function renderScreenshots(report) {
+  if (report.screenshots.length === 0) return '<p class="empty">No screenshots attached.</p>';
+  return `
+    <div class="screenshots">
+      ${report.screenshots.map(shot => `
+        <figure>
+          <img src="${escapeHtml(shot.image)}" alt="${escapeHtml(shot.type)}">
+          <figcaption>${escapeHtml(shot.type)} &middot; ${escapeHtml(formatTime(shot.timestamp))}</figcaption>
+        </figure>`).join('')}
+    </div>`;
+}
+
+/**
+ * Render a self-contained HTML report (inline styles, embedded screenshots)
+ * @param {object} report - Output of buildReport()
+ * @returns {string}
+ */
+function renderHtmlReport(report) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Proctoring report – ${escapeHtml(report.candidate.name)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #2d3748; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+    h1 { color: #3a0ca3; margin-bottom: 0.25rem; }
+    h2 { border-bottom: 2px solid #e9ecef; padding-bottom: 0.25rem; margin-top: 2rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+    .summary th { width: 180px; color: #6c757d; font-weight: 500; }
+    .timeline td:last-child { word-break: break-word; }
+    .screenshots { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 1rem; }
+    figure { margin: 0; }
+    figure img { width: 100%; border-radius: 6px; border: 1px solid #e9ecef; }
+    figcaption { font-size: 0.8rem; color: #6c757d; }
+    .empty { color: #6c757d; font-style: italic; }
+    .meta { color: #6c757d; font-size: 0.85rem; }
+  </style>
+</head>
+<body>
+  <h1>Proctoring Session Report</h1>
+  <p class="meta">Generated ${escapeHtml(formatTime(report.generatedAt))} &middot; ${report.eventCount} events</p>
+
+  <h2>Session</h2>
+  ${renderHeader(report)}
+
+  <h2>Totals by event type</h2>
+  ${renderTotals(report)}
+
+  <h2>Timeline by severity</h2>
+  ${renderTimeline(report)}
+
+  <h2>Screenshots</h2>
+  ${renderScreenshots(report)}
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderHtmlReport,
+  escapeHtml
+};
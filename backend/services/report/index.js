@@ -0,0 +1,9 @@
+const { buildReport } = require('./buildReport');
+const { renderHtmlReport } = require('./htmlReport');
+const { renderPdfReport } = require('./pdfReport');
+
+module.exports = {
+  buildReport,
+  renderHtmlReport,
+  renderPdfReport
+};
@@ -0,0 +1,111 @@
+const PDFDocument = require('pdfkit');
+const { SEVERITIES, SEVERITY_COLORS, summaryRows, formatTime, describeDetails } = require('./buildReport');
+
+/**
+ * Decode a base64 data URI into an image buffer pdfkit can embed
+ * @param {string} image
+ * @returns {Buffer|null}
+ */
+function imageBuffer(image) {
+  const match = /^data:image\/(png|jpe?g);base64,(.+)$/.exec(image || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+function heading(doc, text) {
+  doc.moveDown(1).font('Helvetica-Bold').fontSize(14).fillColor('#3a0ca3').text(text);
+  doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#2d3748');
+}
+
+function renderSummary(doc, report) {
+  summaryRows(report).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+      .font('Helvetica').text(String(value ?? '—'));
+  });
+}
+
+function renderTotals(doc, report) {
+  if (report.totalsByType.length === 0) {
+    doc.text('No events recorded.');
+    return;
+  }
+  report.totalsByType.forEach(({ type, count }) => {
+    doc.text(`${type}: ${count}`);
+  });
+}
+
+function renderTimeline(doc, report) {
+  SEVERITIES.forEach(severity => {
+    const events = report.timeline[severity];
+    if (events.length === 0) return;
+
+    doc.moveDown(0.5).font('Helvetica-Bold').fillColor(SEVERITY_COLORS[severity])
+      .text(`${severity.toUpperCase()} (${events.length})`);
+    doc.font('Helvetica').fillColor('#2d3748');
+
+    events.forEach(event => {
+      const details = describeDetails(event.details);
+      doc.text(`${formatTime(event.timestamp)}  ${event.type}  [${event.source}]${details ? `  ${details}` : ''}`, {
+        width: 500
+      });
+    });
+  });
+}
+
+function renderScreenshots(doc, report) {
+  if (report.screenshots.length === 0) {
+    doc.text('No screenshots attached.');
+    return;
+  }
+
+  report.screenshots.forEach(shot => {
+    const buffer = imageBuffer(shot.image);
+    const caption = `${shot.type} · ${formatTime(shot.timestamp)}`;
+
+    if (!buffer) {
+      doc.text(`${caption}: ${shot.image}`);
+      return;
+    }
+
+    if (doc.y > doc.page.height - 220) doc.addPage();
+    try {
+      doc.image(buffer, { fit: [240, 180] });
+      doc.fontSize(8).fillColor('#6c757d').text(caption).fontSize(10).fillColor('#2d3748');
+    } catch (error) {
+      doc.text(`${caption}: (image could not be embedded)`);
+    }
+    doc.moveDown(0.5);
+  });
+}
+
+/**
+ * Stream a PDF report to a writable stream (e.g. the HTTP response)
+ * @param {object} report - Output of buildReport()
+ * @param {import('stream').Writable} output
+ */
+function renderPdfReport(report, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Proctoring report – ${report.candidate.name}` } });
+  doc.pipe(output);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#3a0ca3').text('Proctoring Session Report');
+  doc.font('Helvetica').fontSize(9).fillColor('#6c757d')
+    .text(`Generated ${formatTime(report.generatedAt)} · ${report.eventCount} events`);
+  doc.fontSize(10).fillColor('#2d3748');
+
+  heading(doc, 'Session');
+  renderSummary(doc, report);
+
+  heading(doc, 'Totals by event type');
+  renderTotals(doc, report);
+
+  heading(doc, 'Timeline by severity');
+  renderTimeline(doc, report);
+
+  heading(doc, 'Screenshots');
+  renderScreenshots(doc, report);
+
+  doc.end();
+}
+
+module.exports = {
+  renderPdfReport
+};
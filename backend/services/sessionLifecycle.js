@@ -0,0 +1,244 @@
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const { broadcastEvent, broadcastSessionUpdate } = require('./realtime');
+const { scoreSession } = require('./integrityScore');
+const { closeOpenEpisodes } = require('./episodes');
+
+/**
+ * Allowed status transitions. Completed, terminated, abandoned and errored sessions are final.
+ */
+const TRANSITIONS = {
+  active: ['paused', 'completed', 'terminated', 'abandoned', 'error'],
+  paused: ['active', 'completed', 'terminated', 'abandoned', 'error'],
+  completed: [],
+  terminated: [],
+  abandoned: [],
+  error: []
+};
+
+const TERMINAL_STATUSES = ['completed', 'terminated', 'abandoned', 'error'];
+
+// Event type, realtime action and event severity recorded for each target status
+const TRANSITION_EVENTS = {
+  paused: { type: 'session_pause', action: 'paused', severity: 'info' },
+  active: { type: 'session_resume', action: 'resumed', severity: 'info' },
+  completed: { type: 'session_end', action: 'ended', severity: 'info' },
+  terminated: { type: 'session_end', action: 'terminated', severity: 'error' },
+  abandoned: { type: 'session_end', action: 'abandoned', severity: 'warning' },
+  error: { type: 'session_end', action: 'ended', severity: 'error' }
+};
+
+class SessionTransitionError extends Error {
+  constructor(from, to) {
+    super(TERMINAL_STATUSES.includes(from)
+      ? `Session is already ${from}`
+      : `Cannot change session from ${from} to ${to}`);
+    this.name = 'SessionTransitionError';
+    this.status = 409;
+  }
+}
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isTerminal = (status) => TERMINAL_STATUSES.includes(status);
+
+// Events are only accepted while the session is still running
+const acceptsEvents = (status) => !isTerminal(status);
+
+/**
+ * Seconds between start and end, leaving out time spent paused
+ * @param {object} session
+ * @param {Date} endTime
+ * @param {number} pausedSeconds - Total paused time including any pause still open
+ * @returns {number}
+ */
+function activeDurationSeconds(session, endTime, pausedSeconds) {
+  const total = (endTime - new Date(session.startTime)) / 1000;
+  return Math.max(0, Math.round(total - pausedSeconds));
+}
+
+/**
+ * When a session runs out of time: its start plus the time limit plus the time spent paused.
+ * A paused session's deadline keeps moving, so only running sessions are held to it.
+ * @param {object} session
+ * @returns {Date|null} null for sessions without a time limit
+ */
+function sessionDeadline(session) {
+  if (!session.timeLimitSeconds) return null;
+  const allowedSeconds = session.timeLimitSeconds + (session.pausedDuration || 0);
+  return new Date(new Date(session.startTime).getTime() + allowedSeconds * 1000);
+}
+
+/**
+ * Move a session to a new status, record the matching lifecycle event and notify interviewers.
+ * The update only applies if the session is still in the status it was read in, so two
+ * concurrent requests (e.g. a double "end") can't both succeed.
+ * @param {object} session - Session document
+ * @param {'active'|'paused'|'completed'|'terminated'|'abandoned'|'error'} to
+ * @param {object} [options]
+ * @param {string} [options.reason] - Stored as metadata.endReason / pauseReason
+ * @param {object} [options.actor] - req.user of whoever requested it (omitted for rules)
+ * @param {string} [options.source] - Event source, 'system' by default
+ * @param {object} [options.details] - Extra event details
+ * @param {object} [options.endData] - Client data stored as metadata.endData when the session ends
+ * @param {Date} [options.endedAt] - When the session actually ended, if earlier than now (e.g. its last activity)
+ * @returns {Promise<{ session: object, event: object|null, integrity: object|null }>}
+ * @throws {SessionTransitionError} If the transition isn't allowed
+ */
+async function transitionSession(session, to, { reason, actor, source = 'system', details = {}, endData, endedAt } = {}) {
+  const from = session.status;
+  if (!canTransition(from, to)) {
+    throw new SessionTransitionError(from, to);
+  }
+
+  const now = endedAt || new Date();
+  const openPauseSeconds = from === 'paused' && session.pausedAt
+    ? Math.max(0, (now - session.pausedAt) / 1000)
+    : 0;
+  const pausedDuration = Math.round((session.pausedDuration || 0) + openPauseSeconds);
+  const actorInfo = actor ? { id: actor.id, role: actor.role, name: actor.name } : { role: 'system' };
+
+  const update = { status: to };
+  if (to === 'paused') {
+    update.pausedAt = now;
+    update['metadata.pauseReason'] = reason || null;
+    update['metadata.pausedBy'] = actorInfo;
+  } else {
+    update.pausedAt = null;
+    update.pausedDuration = pausedDuration;
+  }
+
+  if (isTerminal(to)) {
+    update.endTime = now;
+    update.duration = activeDurationSeconds(session, now, pausedDuration);
+    update['metadata.endReason'] = reason || (to === 'completed' ? 'user_ended' : to);
+    update['metadata.endedBy'] = actorInfo;
+    if (endData) update['metadata.endData'] = endData;
+  }
+
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, status: from },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    // Someone else changed the status first
+    const current = await Session.findById(session._id).select('status').lean();
+    throw new SessionTransitionError(current ? current.status : from, to);
+  }
+
+  const { type, action, severity } = TRANSITION_EVENTS[to];
+  const eventDetails = {
+    status: to,
+    previousStatus: from,
+    ...(reason ? { [isTerminal(to) ? 'endReason' : 'reason']: reason } : {}),
+    ...(to === 'active' ? { pausedSeconds: Math.round(openPauseSeconds) } : {}),
+    ...(actor ? { issuedBy: actorInfo } : {}),
+    ...details
+  };
+
+  // Don't fail the transition if event logging fails
+  let event = null;
+  try {
+    event = await Event.create({ sessionId: updated.sessionId, type, severity, source, details: eventDetails });
+    broadcastEvent(event, updated);
+  } catch (error) {
+    console.error(`Error logging ${type} event:`, error);
+  }
+
+  // Score finished sessions; it can be recomputed later if this fails
+  let integrity = null;
+  if (isTerminal(to)) {
+    // Episodes the client never closed (it crashed, went offline or was terminated) end with the session
+    try {
+      await closeOpenEpisodes(updated.sessionId, now);
+    } catch (error) {
+      console.error('Error closing open episodes:', error);
+    }
+
+    try {
+      integrity = await scoreSession(updated);
+      console.log(`Session ${updated.sessionId} scored ${integrity.score} (${integrity.riskLevel} risk)`);
+    } catch (error) {
+      console.error('Error scoring session:', error);
+    }
+  }
+
+  broadcastSessionUpdate(updated, action, eventDetails);
+  console.log(`Session ${updated.sessionId}: ${from} -> ${to}`);
+
+  return { session: updated, event, integrity };
+}
+
+/**
+ * Terminate a session automatically when newly stored events break one of the exam's
+ * termination rules (e.g. more than 3 multiple_faces events)
+ * @param {object} session - Session document
+ * @param {string[]} eventTypes - Types of the events just stored
+ * @returns {Promise<object|null>} The rule that fired, or null
+ */
+async function applyTerminationRules(session, eventTypes) {
+  if (isTerminal(session.status) || eventTypes.length === 0) return null;
+
+  const exam = await Exam.findOne({ examId: session.examId }).select('terminationRules').lean();
+  const rules = ((exam && exam.terminationRules) || []).filter(rule => eventTypes.includes(rule.eventType));
+
+  for (const rule of rules) {
+    const count = await Event.countDocuments({ sessionId: session.sessionId, type: rule.eventType });
+    if (count < rule.maxOccurrences) continue;
+
+    try {
+      await transitionSession(session, 'terminated', {
+        reason: `rule:${rule.eventType}`,
+        details: { rule: { eventType: rule.eventType, maxOccurrences: rule.maxOccurrences }, occurrences: count }
+      });
+      return rule;
+    } catch (error) {
+      // Already ended by another request
+      if (error instanceof SessionTransitionError) return null;
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Complete a running session whose time limit has passed. It ends at its deadline, so the
+ * duration is the time limit even if the check runs later.
+ * @param {object} session - Session document
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} true if the session was ended
+ */
+async function enforceTimeLimit(session, now = new Date()) {
+  const deadline = sessionDeadline(session);
+  if (session.status !== 'active' || !deadline || deadline > now) return false;
+
+  try {
+    await transitionSession(session, 'completed', {
+      reason: 'time_limit',
+      endedAt: deadline,
+      details: { timeLimitSeconds: session.timeLimitSeconds }
+    });
+    return true;
+  } catch (error) {
+    // Already ended or paused by another request
+    if (error instanceof SessionTransitionError) return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+  TERMINAL_STATUSES,
+  SessionTransitionError,
+  canTransition,
+  isTerminal,
+  acceptsEvents,
+  transitionSession,
+  applyTerminationRules,
+  sessionDeadline,
+  enforceTimeLimit
+};
@@ -0,0 +1,104 @@
+const Event = require('../models/Event');
+
+// Sortable fields exposed to clients -> session paths
+const SESSION_SORT_FIELDS = {
+  startTime: 'startTime',
+  endTime: 'endTime',
+  candidateName: 'candidateName',
+  examId: 'examId',
+  status: 'status',
+  duration: 'duration',
+  score: 'integrity.score'
+};
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept ?status=a&status=b as well as ?status=a,b
+const listParam = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Parse a date query parameter
+ * @throws {Error} with status 400 naming the parameter if it is not a date
+ */
+const dateParam = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`${name} must be a valid date`);
+    error.status = 400;
+    throw error;
+  }
+  return date;
+};
+
+/**
+ * Build a Mongo filter from the examId/status/candidateName/startDate/endDate query
+ * parameters shared by the session listing and analytics routes
+ * @param {object} params - req.query
+ * @param {object} [base] - Filter to extend (e.g. { candidateId })
+ * @returns {object}
+ * @throws {Error} with status 400 if startDate or endDate is not a date
+ */
+function buildSessionFilter({ examId, status, candidateName, startDate, endDate }, base = {}) {
+  const query = { ...base };
+
+  if (examId) {
+    const examIds = listParam(examId);
+    query.examId = examIds.length === 1 ? examIds[0] : { $in: examIds };
+  }
+
+  if (status) {
+    const statuses = listParam(status);
+    query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (candidateName) {
+    // Partial, case-insensitive match; user input is escaped so it can't inject a pattern
+    query.candidateName = { $regex: escapeRegex(String(candidateName)), $options: 'i' };
+  }
+
+  if (startDate || endDate) {
+    query.startTime = {};
+    if (startDate) query.startTime.$gte = dateParam(startDate, 'startDate');
+    if (endDate) query.startTime.$lte = dateParam(endDate, 'endDate');
+  }
+
+  return query;
+}
+
+/**
+ * Count events per severity for each session
+ * @param {string[]} sessionIds
+ * @returns {Promise<Map<string, object>>} sessionId -> { info, warning, error, critical, total }
+ */
+async function countEventsBySeverity(sessionIds) {
+  const counts = new Map(sessionIds.map(sessionId => [
+    sessionId,
+    SEVERITIES.reduce((totals, severity) => ({ ...totals, [severity]: 0 }), { total: 0 })
+  ]));
+  if (sessionIds.length === 0) return counts;
+
+  const rows = await Event.aggregate([
+    { $match: { sessionId: { $in: sessionIds } } },
+    { $group: { _id: { sessionId: '$sessionId', severity: '$severity' }, count: { $sum: 1 } } }
+  ]);
+
+  rows.forEach(({ _id, count }) => {
+    const totals = counts.get(_id.sessionId);
+    if (!totals) return;
+    totals[_id.severity] = (totals[_id.severity] || 0) + count;
+    totals.total += count;
+  });
+
+  return counts;
+}
+
+module.exports = {
+  SESSION_SORT_FIELDS,
+  buildSessionFilter,
+  countEventsBySeverity,
+  dateParam
+};
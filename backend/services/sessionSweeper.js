@@ -0,0 +1,127 @@
+const Session = require('../models/Session');
+const { transitionSession, SessionTransitionError, enforceTimeLimit } = require('./sessionLifecycle');
+
+// Long enough that a candidate whose events are queued offline isn't abandoned on a short network drop
+const IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS, 10) || 30000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Mark running sessions without a heartbeat or event for longer than the idle timeout as abandoned.
+ * The session ends at its last activity, so its duration doesn't include the idle time.
+ * @param {Date} [now]
+ * @param {number} [idleTimeoutMs]
+ * @returns {Promise<number>} Number of sessions abandoned
+ */
+async function sweepStaleSessions(now = new Date(), idleTimeoutMs = IDLE_TIMEOUT_MS) {
+  const cutoff = new Date(now.getTime() - idleTimeoutMs);
+  const stale = await Session.find({
+    status: { $in: ['active', 'paused'] },
+    $or: [
+      { lastActivity: { $lt: cutoff } },
+      // Sessions started before lastActivity was tracked
+      { lastActivity: { $exists: false }, startTime: { $lt: cutoff } }
+    ]
+  });
+
+  let abandoned = 0;
+  for (const session of stale) {
+    const lastActivity = session.lastActivity || session.startTime;
+    try {
+      await transitionSession(session, 'abandoned', {
+        reason: 'heartbeat_timeout',
+        endedAt: lastActivity,
+        details: {
+          lastActivity,
+          idleSeconds: Math.round((now - lastActivity) / 1000)
+        }
+      });
+      abandoned += 1;
+    } catch (error) {
+      // Ended or resumed by a request while we were sweeping
+      if (!(error instanceof SessionTransitionError)) {
+        console.error(`Error abandoning session ${session.sessionId}:`, error);
+      }
+    }
+  }
+
+  if (abandoned > 0) {
+    console.log(`Abandoned ${abandoned} idle session(s)`);
+  }
+  return abandoned;
+}
+
+/**
+ * Complete running sessions that are past their time limit (start + limit + time paused).
+ * Candidates normally hit the limit on their next heartbeat; this covers clients that stopped sending them.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of sessions completed
+ */
+async function sweepOverdueSessions(now = new Date()) {
+  const overdue = await Session.find({
+    status: 'active',
+    timeLimitSeconds: { $gt: 0 },
+    $expr: {
+      $lt: [
+        { $add: ['$startTime', { $multiply: [{ $add: ['$timeLimitSeconds', { $ifNull: ['$pausedDuration', 0] }] }, 1000] }] },
+        now
+      ]
+    }
+  });
+
+  let completed = 0;
+  for (const session of overdue) {
+    try {
+      if (await enforceTimeLimit(session, now)) completed += 1;
+    } catch (error) {
+      console.error(`Error ending overdue session ${session.sessionId}:`, error);
+    }
+  }
+
+  if (completed > 0) {
+    console.log(`Completed ${completed} session(s) past their time limit`);
+  }
+  return completed;
+}
+
+/**
+ * Run the sweeper periodically inside the API process
+ * @returns {NodeJS.Timeout}
+ */
+function startSessionSweeper() {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await sweepStaleSessions();
+      await sweepOverdueSessions();
+    } catch (error) {
+      console.error('Error sweeping sessions:', error);
+    } finally {
+      sweeping = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+
+  console.log(`Session sweeper running every ${SWEEP_INTERVAL_MS}ms (idle timeout ${IDLE_TIMEOUT_MS}ms)`);
+  return sweepTimer;
+}
+
+function stopSessionSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  IDLE_TIMEOUT_MS,
+  sweepStaleSessions,
+  sweepOverdueSessions,
+  startSessionSweeper,
+  stopSessionSweeper
+};
@@ -0,0 +1,47 @@
+// Checks the candidate client runs before an exam; each must have passed for a session to start
+const REQUIRED_CHECKS = ['camera', 'models', 'lighting', 'face', 'network'];
+const OPTIONAL_CHECKS = ['roomScan'];
+// A check run long before starting says little about the conditions during the exam
+const MAX_SYSTEM_CHECK_AGE_MS = parseInt(process.env.MAX_SYSTEM_CHECK_AGE_MS, 10) || 10 * 60 * 1000;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate the pre-exam system check a client sends as metadata.systemCheck.
+ * The results are measured in the browser, so this only makes sure the check was run
+ * recently and that every required step (and the room scan, if the exam requires it) passed.
+ * @param {object} systemCheck - { checkedAt, checks: { camera: { passed, ... }, ... } }
+ * @param {object} exam
+ * @returns {{ error: string }|{ systemCheck: object }} The error to return, or the result to store on the session
+ */
+function validateSystemCheck(systemCheck, exam) {
+  if (!isPlainObject(systemCheck) || !isPlainObject(systemCheck.checks)) {
+    return { error: 'Please complete the system check before starting the exam' };
+  }
+
+  const required = exam.requireRoomScan ? [...REQUIRED_CHECKS, 'roomScan'] : REQUIRED_CHECKS;
+  const failed = required.filter(name => !isPlainObject(systemCheck.checks[name]) || systemCheck.checks[name].passed !== true);
+  if (failed.length > 0) {
+    return { error: `System check did not pass: ${failed.join(', ')}` };
+  }
+
+  const checkedAt = new Date(systemCheck.checkedAt);
+  const age = Date.now() - checkedAt.getTime();
+  if (Number.isNaN(age) || age > MAX_SYSTEM_CHECK_AGE_MS || age < -CLOCK_SKEW_MS) {
+    return { error: 'The system check has expired; please run it again' };
+  }
+
+  // Keep only the known steps so arbitrary client data doesn't end up on the session
+  const checks = {};
+  [...REQUIRED_CHECKS, ...OPTIONAL_CHECKS].forEach(name => {
+    if (isPlainObject(systemCheck.checks[name])) checks[name] = systemCheck.checks[name];
+  });
+  return { systemCheck: { checkedAt, passed: true, checks } };
+}
+
+module.exports = {
+  REQUIRED_CHECKS,
+  OPTIONAL_CHECKS,
+  validateSystemCheck
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { authenticate, optionalAuth, signAuthToken, tokenFromRequest } = require('../middleware/auth');
+
+const USER_ID = new mongoose.Types.ObjectId();
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => Object.assign(res, { statusCode: code });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+test('a malformed cookie reads as no cookie', () => {
+  const token = signAuthToken({ _id: USER_ID, role: 'proctor', name: 'Pat' });
+
+  assert.equal(tokenFromRequest({ headers: { cookie: 'token=%' } }), null);
+  assert.equal(tokenFromRequest({ headers: { cookie: `theme=%E0%A4%A; token=${token}` } }), token);
+});
+
+test('requests with a malformed auth cookie are refused with 401', async () => {
+  const res = response();
+  let called = false;
+
+  await authenticate({ headers: { cookie: 'token=%' } }, res, () => { called = true; });
+
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Authentication required');
+});
+
+test('optional authentication ignores a malformed cookie', async () => {
+  const req = { headers: { cookie: 'token=%' } };
+  let called = false;
+
+  await optionalAuth(req, response(), () => { called = true; });
+
+  assert.equal(called, true);
+  assert.equal(req.user, null);
+});
+
+test('the account is checked on every request', async (t) => {
+  const token = signAuthToken({ _id: USER_ID, role: 'admin', name: 'Old name' });
+  let account = { role: 'candidate', name: 'Sam', active: true };
+  t.mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => account }) }));
+
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  await authenticate(req, response(), () => {});
+  // The role and name come from the account, not the token
+  assert.equal(req.user.role, 'candidate');
+  assert.equal(req.user.name, 'Sam');
+
+  account = { ...account, active: false };
+  const res = response();
+  await authenticate({ headers: { authorization: `Bearer ${token}` } }, res, () => {});
+  assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const { closeStoredEpisode, closeOpenEpisodes } = require('../services/episodes');
+
+test('closing an episode updates the record stored when it started', async (t) => {
+  const stored = { _id: 'event-1', episode: { id: '42', status: 'closed' } };
+  const update = t.mock.method(Event, 'findOneAndUpdate', async () => stored);
+  const endedAt = new Date('2024-01-01T09:00:30Z');
+
+  const result = await closeStoredEpisode('S1', { id: 42, endedAt, duration: 30, peakConfidence: 0.9 });
+
+  assert.equal(result, stored);
+  const [filter, changes, options] = update.mock.calls[0].arguments;
+  // Episode IDs from the client may be numbers; they are stored as strings
+  assert.deepEqual(filter, { sessionId: 'S1', 'episode.id': '42' });
+  assert.deepEqual(changes, {
+    $set: { 'episode.status': 'closed', 'episode.endedAt': endedAt, 'episode.duration': 30 },
+    $max: { 'episode.peakConfidence': 0.9 }
+  });
+  assert.equal(options.new, true);
+});
+
+test('closing an episode without a confidence leaves the stored peak alone', async (t) => {
+  const update = t.mock.method(Event, 'findOneAndUpdate', async () => null);
+
+  const result = await closeStoredEpisode('S1', { id: 'a', endedAt: new Date(), duration: 5 });
+
+  assert.equal(result, null);
+  assert.equal(update.mock.calls[0].arguments[1].$max, undefined);
+});
+
+test('open episodes are closed when the session ends', async (t) => {
+  const updateMany = t.mock.method(Event, 'updateMany', async () => ({ modifiedCount: 3 }));
+  const endedAt = new Date('2024-01-01T10:00:00Z');
+
+  assert.equal(await closeOpenEpisodes('S1', endedAt), 3);
+
+  const [filter, pipeline] = updateMany.mock.calls[0].arguments;
+  assert.deepEqual(filter, { sessionId: 'S1', 'episode.status': 'open' });
+  const { $set } = pipeline[0];
+  assert.equal($set['episode.status'], 'closed');
+  // An episode can't end before it started, even if the session end predates it
+  assert.deepEqual($set['episode.endedAt'], { $max: ['$episode.startedAt', endedAt] });
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const eventRoutes = require('../routes/eventRoutes');
+const { signAuthToken } = require('../middleware/auth');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const TOKEN = signAuthToken({ _id: USER_ID, role: 'proctor', name: 'Pat' });
+const END_TIME = new Date('2024-01-01T10:00:00Z');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/events', eventRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Replace the database calls of the batch route
+ * @param {import('node:test').TestContext} t
+ * @param {object} options
+ * @param {object} options.session - Session the batch belongs to
+ * @param {Array<object>} [options.stored] - Events already stored, by clientEventId
+ * @param {function} [options.insertMany] - Replacement for Event.insertMany
+ * @returns {{ inserted: object[], sessionUpdates: object[] }}
+ */
+function mockStorage(t, { session, stored = [], insertMany }) {
+  const calls = { inserted: [], sessionUpdates: [] };
+  t.mock.method(User, 'findById', () => ({
+    select: () => ({ lean: async () => ({ _id: USER_ID, role: 'proctor', name: 'Pat', active: true }) })
+  }));
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(Session, 'findByIdAndUpdate', async (id, update) => {
+    calls.sessionUpdates.push(update);
+  });
+  t.mock.method(Event, 'find', (filter) => ({
+    select: () => ({
+      lean: async () => stored.filter(event => filter.clientEventId.$in.includes(event.clientEventId))
+    })
+  }));
+  t.mock.method(Event, 'insertMany', insertMany || (async (docs) => {
+    calls.inserted.push(...docs);
+    return docs;
+  }));
+  t.mock.method(Exam, 'findOne', () => ({ select: () => ({ lean: async () => null }) }));
+  t.mock.method(console, 'log', () => {});
+  return calls;
+}
+
+const postBatch = async (body) => {
+  const response = await fetch(`${baseUrl}/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const activeSession = () => ({ _id: new mongoose.Types.ObjectId(), sessionId: 'S1', examId: 'EX1', status: 'active' });
+
+test('events a previous upload stored, or repeated in the batch, are not stored again', async (t) => {
+  const storedId = new mongoose.Types.ObjectId();
+  const calls = mockStorage(t, {
+    session: activeSession(),
+    stored: [{ _id: storedId, clientEventId: 'c1' }]
+  });
+
+  const { status, body } = await postBatch({
+    sessionId: 'S1',
+    events: [
+      { clientEventId: 'c1', type: 'tab_switch', severity: 'warning' },
+      { clientEventId: 'c2', type: 'tab_switch', severity: 'warning' },
+      { clientEventId: 'c2', type: 'tab_switch', severity: 'warning' }
+    ]
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.count, 1);
+  assert.equal(body.duplicates, 2);
+  assert.deepEqual(body.results.map(result => result.status), ['duplicate', 'created', 'duplicate']);
+  assert.equal(body.results[0].eventId, String(storedId));
+  assert.deepEqual(calls.inserted.map(doc => doc.clientEventId), ['c2']);
+});
+
+test('an event a concurrent retry inserted first is reported as a duplicate of it', async (t) => {
+  const racedId = new mongoose.Types.ObjectId();
+  const stored = [];
+  mockStorage(t, {
+    session: activeSession(),
+    stored,
+    insertMany: async () => {
+      // The retry won: the event exists now and this insert hits the unique index.
+      // insertMany() copies write errors into plain objects that keep the code on .err only.
+      stored.push({ _id: racedId, clientEventId: 'c1' });
+      const error = new Error('E11000 duplicate key error');
+      error.writeErrors = [{ index: 0, err: { code: 11000, errmsg: 'E11000 duplicate key error' } }];
+      throw error;
+    }
+  });
+
+  const { status, body } = await postBatch({
+    sessionId: 'S1',
+    events: [{ clientEventId: 'c1', type: 'tab_switch', severity: 'warning' }]
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.count, 0);
+  assert.deepEqual(body.results, [{ index: 0, clientEventId: 'c1', status: 'duplicate', eventId: String(racedId) }]);
+});
+
+test('events queued before the session ended are stored and flagged as late', async (t) => {
+  const session = { ...activeSession(), status: 'completed', endTime: END_TIME };
+  const calls = mockStorage(t, { session });
+
+  const { status, body } = await postBatch({
+    sessionId: 'S1',
+    events: [
+      { clientEventId: 'before', type: 'tab_switch', timestamp: '2024-01-01T09:59:00Z' },
+      { clientEventId: 'after', type: 'tab_switch', timestamp: '2024-01-01T10:01:00Z' }
+    ]
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.count, 2);
+  const [before, after] = calls.inserted;
+  assert.equal(before.metadata.lateUpload, true);
+  assert.equal(before.metadata.afterSessionEnd, undefined);
+  assert.equal(after.metadata.afterSessionEnd, true);
+  // A finished session doesn't become active again
+  assert.equal(calls.sessionUpdates[0].$set, undefined);
+});
+
+test('clients cannot forge server events, sources or IDs', async (t) => {
+  const calls = mockStorage(t, { session: activeSession() });
+  const forgedId = new mongoose.Types.ObjectId();
+
+  const { status, body } = await postBatch({
+    sessionId: 'S1',
+    events: [
+      { clientEventId: 'c1', type: 'proctor_intervention' },
+      { clientEventId: 'c2', type: 'tab_switch', source: 'api', _id: forgedId, sessionId: 'S2' }
+    ]
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.results[0].status, 'rejected');
+  assert.match(body.results[0].error, /only recorded by the server/);
+  const [doc] = calls.inserted;
+  assert.equal(doc.source, 'frontend');
+  assert.equal(doc.sessionId, 'S1');
+  assert.notEqual(String(doc._id), String(forgedId));
+});
+
+test('a batch with nothing valid in it is refused', async (t) => {
+  mockStorage(t, { session: activeSession() });
+
+  const { status, body } = await postBatch({ sessionId: 'S1', events: [null, { type: 'session_end' }] });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'No events in the batch were valid');
+  assert.equal(body.rejected, 2);
+});
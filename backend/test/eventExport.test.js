@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/eventRoutes');
+const { signAuthToken } = require('../middleware/auth');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const TOKEN = signAuthToken({ _id: USER_ID, role: 'proctor', name: 'Pat' });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/events', eventRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// A lean query cursor over `items` that fails after them when `failure` is given
+const cursor = (items, failure) => ({
+  async *[Symbol.asyncIterator]() {
+    yield* items;
+    if (failure) throw failure;
+  },
+  close: async () => {}
+});
+
+const query = (result) => ({
+  select: () => query(result),
+  sort: () => query(result),
+  skip: () => query(result),
+  limit: () => query(result),
+  lean: () => query(result),
+  cursor: () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+function mockStorage(t, { events = [], failure } = {}) {
+  t.mock.method(User, 'findById', () => ({
+    select: () => ({ lean: async () => ({ _id: USER_ID, role: 'proctor', name: 'Pat', active: true }) })
+  }));
+  t.mock.method(Session, 'find', () => query(cursor([{ sessionId: 'S1', examId: 'EX1' }])));
+  const find = t.mock.method(Event, 'find', () => query(cursor(events, failure)));
+  t.mock.method(Event, 'countDocuments', async () => events.length);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return find;
+}
+
+const get = (path) => fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+
+test('exports with a date that is not a date are refused before streaming', async (t) => {
+  const find = mockStorage(t);
+
+  const response = await get('/export?format=csv&startDate=foo');
+
+  assert.equal(response.status, 400);
+  assert.equal(response.headers.get('content-disposition'), null);
+  assert.deepEqual(await response.json(), { success: false, error: 'startDate must be a valid date' });
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('event listings with a date that is not a date are refused with 400', async (t) => {
+  mockStorage(t);
+
+  const response = await get('/session/S1?endDate=tomorrow');
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'endDate must be a valid date');
+});
+
+test('exports stream every event of the sessions in scope', async (t) => {
+  mockStorage(t, {
+    events: [{ _id: 'e1', sessionId: 'S1', type: 'tab_switch', severity: 'warning', timestamp: new Date('2024-01-01T09:00:00Z') }]
+  });
+
+  const response = await get('/export?format=ndjson&startDate=2024-01-01');
+
+  assert.equal(response.status, 200);
+  const [record] = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(record.eventId, 'e1');
+  assert.equal(record.examId, 'EX1');
+});
+
+test('an export that fails mid-stream is cut off instead of ending like a complete file', async (t) => {
+  mockStorage(t, {
+    events: [{ _id: 'e1', sessionId: 'S1', type: 'tab_switch', timestamp: new Date() }],
+    failure: new Error('cursor lost')
+  });
+
+  // The status went out with the header row, so only a cut connection can signal the failure
+  await assert.rejects(get('/export?format=csv').then(response => response.text()));
+});
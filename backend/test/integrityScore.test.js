@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const { computeIntegrityScore, classifyRisk, resolveScoringConfig, scoreSession } = require('../services/integrityScore');
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 9, 0, seconds));
+
+test('a session without scored events keeps 100 points', () => {
+  const result = computeIntegrityScore([
+    { type: 'session_pause', severity: 'info', timestamp: at(0) },
+    { type: 'unknown_type', severity: 'critical', timestamp: at(1) }
+  ]);
+
+  assert.equal(result.score, 100);
+  assert.equal(result.riskLevel, 'low');
+  assert.deepEqual(result.breakdown, {});
+  assert.equal(result.eventCount, 2);
+});
+
+test('events of one type within the merge gap count as a single incident', () => {
+  const result = computeIntegrityScore([
+    { type: 'tab_switch', severity: 'warning', timestamp: at(0) },
+    { type: 'tab_switch', severity: 'warning', timestamp: at(1) },
+    { type: 'tab_switch', severity: 'warning', timestamp: at(3) },
+    { type: 'tab_switch', severity: 'warning', timestamp: at(10) }
+  ]);
+
+  // Two incidents: 0s-3s (merged, lasting 3s) and 10s on its own
+  assert.deepEqual(result.breakdown.tab_switch, {
+    incidents: 2,
+    events: 4,
+    durationSeconds: 3,
+    penalty: 9.5
+  });
+  assert.equal(result.score, 90.5);
+});
+
+test('reported durations and the highest severity of an incident drive the penalty', () => {
+  const result = computeIntegrityScore([
+    { type: 'no_face', severity: 'warning', timestamp: at(0), details: { duration: 20 } },
+    { type: 'no_face', severity: 'critical', timestamp: at(1), details: { duration: 10 } }
+  ]);
+
+  // (weight 3 + 0.5/s * 30s) * critical multiplier 2
+  assert.deepEqual(result.breakdown.no_face, {
+    incidents: 1,
+    events: 2,
+    durationSeconds: 30,
+    penalty: 36
+  });
+  assert.equal(result.score, 64);
+  assert.equal(result.riskLevel, 'medium');
+});
+
+test('episode records count with the duration measured when they closed', () => {
+  const result = computeIntegrityScore([
+    { type: 'no_face', severity: 'warning', timestamp: at(0), episode: { duration: 40 }, details: { duration: 2 } }
+  ]);
+
+  // (weight 3 + 0.5/s * 40s) * warning multiplier 1
+  assert.equal(result.breakdown.no_face.durationSeconds, 40);
+  assert.equal(result.score, 77);
+});
+
+test('exam overrides replace single weights and thresholds', () => {
+  const events = [{ type: 'copy_paste', severity: 'warning', timestamp: at(0) }];
+  const result = computeIntegrityScore(events, {
+    typeWeights: { copy_paste: 60 },
+    riskThresholds: { high: 45 }
+  });
+
+  assert.equal(result.score, 40);
+  assert.equal(result.riskLevel, 'high');
+
+  const config = resolveScoringConfig({ typeWeights: { copy_paste: 60 } });
+  assert.equal(config.typeWeights.copy_paste, 60);
+  assert.equal(config.typeWeights.tab_switch, 4);
+});
+
+test('the score never drops below zero', () => {
+  const events = Array.from({ length: 20 }, (_, index) => ({
+    type: 'forbidden_object',
+    severity: 'critical',
+    timestamp: at(index * 10)
+  }));
+
+  assert.equal(computeIntegrityScore(events).score, 0);
+});
+
+test('risk levels follow the thresholds', () => {
+  const thresholds = { medium: 80, high: 50 };
+  assert.equal(classifyRisk(80, thresholds), 'low');
+  assert.equal(classifyRisk(79.9, thresholds), 'medium');
+  assert.equal(classifyRisk(50, thresholds), 'medium');
+  assert.equal(classifyRisk(49, thresholds), 'high');
+});
+
+test('a session whose exam was deleted is scored with the defaults', async (t) => {
+  t.mock.method(Exam, 'findOne', () => ({ lean: async () => null }));
+  t.mock.method(Event, 'find', () => ({
+    sort: () => ({ lean: async () => [{ type: 'tab_switch', severity: 'warning', timestamp: at(0) }] })
+  }));
+  const session = { sessionId: 'S1', examId: 'deleted', save: t.mock.fn(async () => {}) };
+
+  const integrity = await scoreSession(session);
+
+  assert.equal(integrity.score, 96);
+  assert.equal(session.integrity, integrity);
+  assert.equal(session.save.mock.callCount(), 1);
+});
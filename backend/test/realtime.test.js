@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { initRealtime } = require('../services/realtime');
+
+let server;
+
+test.before(async () => {
+  server = http.createServer();
+  initRealtime(server);
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a raw upgrade request and return the status line of the answer
+ * @param {string} target - Request target
+ * @param {object} [headers]
+ * @returns {Promise<string>}
+ */
+function upgrade(target, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      const lines = [
+        `GET ${target} HTTP/1.1`,
+        'Host: localhost',
+        'Connection: Upgrade',
+        'Upgrade: websocket',
+        'Sec-WebSocket-Version: 13',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+      ];
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    });
+    let answer = '';
+    socket.on('data', (data) => { answer += data; });
+    socket.on('close', () => resolve(answer.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+}
+
+test('an upgrade to an unparseable target is refused without stopping the server', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal(await upgrade('//'), 'HTTP/1.1 400 Bad Request');
+  assert.equal(await upgrade('/ws/unknown'), 'HTTP/1.1 404 Not Found');
+});
+
+test('an upgrade with a malformed auth cookie is unauthorized', async () => {
+  assert.equal(await upgrade('/ws/interviewer', { Cookie: 'token=%' }), 'HTTP/1.1 401 Unauthorized');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const evidenceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-test-'));
+process.env.EVIDENCE_DIR = evidenceDir;
+
+const Session = require('../models/Session');
+const { storeRecordingChunk, createSegmentStream, recordingChunkKey } = require('../services/recording');
+
+test.after(() => fs.rmSync(evidenceDir, { recursive: true, force: true }));
+
+const chunk = (index, text) => ({
+  segmentId: 'seg',
+  index,
+  startedAt: new Date('2024-01-01T09:00:00Z'),
+  recordedAt: new Date(Date.UTC(2024, 0, 1, 9, 0, index * 5)),
+  buffer: Buffer.from(text)
+});
+
+const selectable = (value) => ({ select: async () => value, lean: async () => value });
+
+/**
+ * Answer the listing updates in the order given; each answer is the updated session or null
+ * @param {import('node:test').TestContext} t
+ * @param {object} answers
+ * @param {Array<object|null>} answers.updates - Results of findOneAndUpdate, in call order
+ * @param {object|null} [answers.listed] - Segment the chunk lookup finds
+ */
+function mockSession(t, { updates, listed = null }) {
+  const answers = [...updates];
+  const update = t.mock.method(Session, 'findOneAndUpdate', () => selectable(answers.shift() ?? null));
+  t.mock.method(Session, 'findOne', () => selectable(listed && { recording: { segments: [listed] } }));
+  t.mock.method(Session, 'exists', async () => ({ _id: 'id-1' }));
+  return update;
+}
+
+test('a chunk whose segment another upload created first is appended to it', async (t) => {
+  // Append misses (no segment yet), create loses the race, then the retried append lands
+  const update = mockSession(t, { updates: [null, null, { sessionId: 'S1' }] });
+
+  const entry = await storeRecordingChunk('S1', chunk(1, 'second'));
+
+  assert.equal(entry.size, 6);
+  const filters = update.mock.calls.map(call => call.arguments[0]);
+  assert.ok(filters[0]['recording.segments'].$elemMatch);
+  assert.deepEqual(filters[1]['recording.segments.segmentId'], { $ne: 'seg' });
+  assert.deepEqual(filters[2], filters[0]);
+});
+
+test('a re-uploaded chunk replaces the listed size and adjusts the segment size', async (t) => {
+  const update = mockSession(t, {
+    updates: [null, { sessionId: 'S1' }],
+    listed: { segmentId: 'seg', size: 14, chunks: [{ index: 0, size: 10 }, { index: 1, size: 4 }] }
+  });
+
+  const entry = await storeRecordingChunk('S1', chunk(1, 'replacement'));
+
+  assert.equal(entry.size, 11);
+  const [filter, changes, options] = update.mock.calls[1].arguments;
+  // Only applies if no other upload changed the chunk since it was read
+  assert.deepEqual(filter['recording.segments'].$elemMatch.chunks, { $elemMatch: { index: 1, size: 4 } });
+  assert.equal(changes.$set['recording.segments.$[segment].chunks.$[chunk].size'], 11);
+  assert.equal(changes.$inc['recording.segments.$[segment].size'], 7);
+  assert.deepEqual(options.arrayFilters, [{ 'segment.segmentId': 'seg' }, { 'chunk.index': 1 }]);
+  assert.equal(fs.readFileSync(path.join(evidenceDir, recordingChunkKey('S1', 'seg', 1)), 'utf8'), 'replacement');
+});
+
+test('chunks of a missing session are not listed', async (t) => {
+  mockSession(t, { updates: [] });
+  t.mock.method(Session, 'exists', async () => null);
+
+  assert.equal(await storeRecordingChunk('gone', chunk(0, 'x')), null);
+});
+
+test('byte ranges are read across chunk boundaries from the listed sizes', async () => {
+  const parts = ['0123456789', 'abcde', 'XYZ'];
+  fs.mkdirSync(path.join(evidenceDir, 'S2'), { recursive: true });
+  parts.forEach((text, index) => fs.writeFileSync(path.join(evidenceDir, recordingChunkKey('S2', 'seg', index)), text));
+  const segment = {
+    segmentId: 'seg',
+    size: 18,
+    chunks: [{ index: 2, size: 3 }, { index: 0, size: 10 }, { index: 1, size: 5 }]
+  };
+
+  const read = async (range) => {
+    let text = '';
+    for await (const data of createSegmentStream('S2', segment, range)) text += data;
+    return text;
+  };
+
+  assert.equal(await read(), '0123456789abcdeXYZ');
+  assert.equal(await read({ start: 8, end: 11 }), '89ab');
+  assert.equal(await read({ start: 12, end: 17 }), 'cdeXYZ');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const {
+  SessionTransitionError,
+  canTransition,
+  transitionSession,
+  sessionDeadline,
+  enforceTimeLimit
+} = require('../services/sessionLifecycle');
+
+const START = new Date('2024-01-01T09:00:00Z');
+const minutes = (count) => new Date(START.getTime() + count * 60 * 1000);
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+/**
+ * Replace the database calls a transition makes; returns the recorded updates and events
+ * @param {import('node:test').TestContext} t
+ * @param {object} [options]
+ * @param {boolean} [options.lost] - Another request changed the status first
+ */
+function mockStorage(t, { lost = false } = {}) {
+  const calls = { updates: [], events: [] };
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    calls.updates.push({ filter, update });
+    if (lost) return null;
+    return { _id: filter._id, sessionId: 'S1', examId: 'EX1', startTime: START, ...update, save: async () => {} };
+  });
+  t.mock.method(Session, 'findById', () => lean({ status: 'completed' }));
+  t.mock.method(Event, 'create', async (doc) => {
+    calls.events.push(doc);
+    return { _id: 'event-1', ...doc };
+  });
+  t.mock.method(Event, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(Event, 'find', () => ({ sort: () => ({ lean: async () => [] }) }));
+  t.mock.method(Exam, 'findOne', () => lean(null));
+  t.mock.method(console, 'log', () => {});
+  return calls;
+}
+
+const session = (fields = {}) => ({ _id: 'id-1', sessionId: 'S1', examId: 'EX1', startTime: START, pausedDuration: 0, ...fields });
+
+test('finished sessions cannot change status', () => {
+  assert.equal(canTransition('active', 'paused'), true);
+  assert.equal(canTransition('paused', 'completed'), true);
+  assert.equal(canTransition('completed', 'active'), false);
+  assert.equal(canTransition('terminated', 'completed'), false);
+});
+
+test('transitions out of a final status are refused with 409', async () => {
+  await assert.rejects(
+    transitionSession(session({ status: 'completed' }), 'active'),
+    (error) => error instanceof SessionTransitionError && error.status === 409 && error.message === 'Session is already completed'
+  );
+});
+
+test('pausing records who paused and only applies to the status it was read in', async (t) => {
+  const calls = mockStorage(t);
+  const actor = { id: 'u1', role: 'proctor', name: 'Pat' };
+
+  const result = await transitionSession(session({ status: 'active' }), 'paused', { reason: 'break', actor, source: 'api' });
+
+  const [{ filter, update }] = calls.updates;
+  assert.deepEqual(filter, { _id: 'id-1', status: 'active' });
+  assert.equal(update.status, 'paused');
+  assert.equal(update['metadata.pauseReason'], 'break');
+  assert.deepEqual(update['metadata.pausedBy'], actor);
+  assert.equal(calls.events[0].type, 'session_pause');
+  assert.equal(calls.events[0].source, 'api');
+  assert.equal(result.integrity, null);
+});
+
+test('ending a paused session leaves the open pause out of its duration', async (t) => {
+  const calls = mockStorage(t);
+
+  const result = await transitionSession(
+    session({ status: 'paused', pausedAt: minutes(20), pausedDuration: 60 }),
+    'completed',
+    { endedAt: minutes(30) }
+  );
+
+  const { update } = calls.updates[0];
+  // 30 minutes minus the earlier 1 minute pause and the 10 minute pause still open
+  assert.equal(update.pausedDuration, 660);
+  assert.equal(update.duration, 1140);
+  assert.equal(update['metadata.endReason'], 'user_ended');
+  assert.deepEqual(update['metadata.endedBy'], { role: 'system' });
+  assert.equal(calls.events[0].type, 'session_end');
+  assert.equal(result.integrity.score, 100);
+});
+
+test('a transition that lost a race reports the status that won', async (t) => {
+  mockStorage(t, { lost: true });
+
+  await assert.rejects(
+    transitionSession(session({ status: 'active' }), 'completed'),
+    { name: 'SessionTransitionError', message: 'Session is already completed' }
+  );
+});
+
+test('an abandoned session ends at its last activity', async (t) => {
+  const calls = mockStorage(t);
+
+  await transitionSession(session({ status: 'active' }), 'abandoned', { reason: 'heartbeat_timeout', endedAt: minutes(12) });
+
+  const { update } = calls.updates[0];
+  assert.equal(update.status, 'abandoned');
+  assert.deepEqual(update.endTime, minutes(12));
+  assert.equal(update.duration, 720);
+  assert.equal(calls.events[0].severity, 'warning');
+});
+
+test('the deadline moves by the time spent paused', () => {
+  assert.equal(sessionDeadline(session()), null);
+  assert.deepEqual(sessionDeadline(session({ timeLimitSeconds: 1800 })), minutes(30));
+  assert.deepEqual(sessionDeadline(session({ timeLimitSeconds: 1800, pausedDuration: 300 })), minutes(35));
+});
+
+test('sessions within their time limit are left running', async (t) => {
+  const calls = mockStorage(t);
+
+  assert.equal(await enforceTimeLimit(session({ status: 'active', timeLimitSeconds: 1800 }), minutes(29)), false);
+  assert.equal(await enforceTimeLimit(session({ status: 'paused', timeLimitSeconds: 1800 }), minutes(60)), false);
+  assert.equal(await enforceTimeLimit(session({ status: 'active' }), minutes(600)), false);
+  assert.equal(calls.updates.length, 0);
+});
+
+test('an overdue session is completed at its deadline', async (t) => {
+  const calls = mockStorage(t);
+
+  assert.equal(await enforceTimeLimit(session({ status: 'active', timeLimitSeconds: 1800 }), minutes(45)), true);
+
+  const { update } = calls.updates[0];
+  assert.equal(update.status, 'completed');
+  assert.deepEqual(update.endTime, minutes(30));
+  assert.equal(update.duration, 1800);
+  assert.equal(update['metadata.endReason'], 'time_limit');
+  assert.equal(calls.events[0].details.timeLimitSeconds, 1800);
+});
+
+test('an overdue session ended by another request is not ended twice', async (t) => {
+  mockStorage(t, { lost: true });
+
+  assert.equal(await enforceTimeLimit(session({ status: 'active', timeLimitSeconds: 60 }), minutes(5)), false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sessionRoutes = require('../routes/sessionRoutes');
+const { signAuthToken } = require('../middleware/auth');
+const { buildSessionFilter } = require('../services/sessionSearch');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const TOKEN = signAuthToken({ _id: USER_ID, role: 'proctor', name: 'Pat' });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/session', sessionRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/session`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function mockStorage(t) {
+  t.mock.method(User, 'findById', () => ({
+    select: () => ({ lean: async () => ({ _id: USER_ID, role: 'proctor', name: 'Pat', active: true }) })
+  }));
+  const find = t.mock.method(Session, 'find', () => {
+    throw new Error('sessions should not be queried');
+  });
+  t.mock.method(console, 'error', () => {});
+  return find;
+}
+
+const list = async (query) => {
+  const response = await fetch(`${baseUrl}?${query}`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+  return { status: response.status, body: await response.json() };
+};
+
+test('filters combine lists, partial names and start time bounds', () => {
+  const filter = buildSessionFilter({
+    examId: 'EX1',
+    status: 'completed,terminated',
+    candidateName: 'a.b',
+    startDate: '2024-01-01',
+    endDate: '2024-01-31'
+  }, { candidateId: 'c1' });
+
+  assert.deepEqual(filter, {
+    candidateId: 'c1',
+    examId: 'EX1',
+    status: { $in: ['completed', 'terminated'] },
+    // User input is matched literally
+    candidateName: { $regex: 'a\\.b', $options: 'i' },
+    startTime: { $gte: new Date('2024-01-01'), $lte: new Date('2024-01-31') }
+  });
+});
+
+test('dates that are not dates are refused with 400 naming the parameter', async (t) => {
+  const find = mockStorage(t);
+
+  const { status, body } = await list('startDate=yesterday');
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'startDate must be a valid date');
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('only the listed fields can be sorted on, not inherited object properties', async (t) => {
+  mockStorage(t);
+
+  for (const sortBy of ['constructor', '__proto__', 'toString', 'password']) {
+    const { status, body } = await list(`sortBy=${sortBy}`);
+    assert.equal(status, 400, sortBy);
+    assert.match(body.error, /^sortBy must be one of: startTime, /);
+  }
+});
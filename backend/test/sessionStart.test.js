@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const sessionRoutes = require('../routes/sessionRoutes');
+const { signAuthToken } = require('../middleware/auth');
+const { DESCRIPTOR_LENGTH } = require('../services/faceIdentity');
+const { REQUIRED_CHECKS } = require('../services/systemCheck');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const TOKEN = signAuthToken({ _id: USER_ID, role: 'candidate', name: 'Sam' });
+const ENROLLED_FACE = Array(DESCRIPTOR_LENGTH).fill(0.1);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/session', sessionRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/session`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Replace the database calls of starting a session
+ * @param {import('node:test').TestContext} t
+ * @param {object} options
+ * @param {number[][]} options.enrollment - The candidate's enrolled descriptors
+ * @param {boolean} [options.requireIdentityVerification]
+ * @returns {{ sessions: object[], events: object[] }}
+ */
+function mockStorage(t, { enrollment, requireIdentityVerification = false }) {
+  const calls = { sessions: [], events: [] };
+  t.mock.method(User, 'findById', () => ({
+    select: (fields) => ({
+      lean: async () => (fields === '+faceEnrollment'
+        ? { faceEnrollment: { descriptors: enrollment } }
+        : { _id: USER_ID, role: 'candidate', name: 'Sam', active: true })
+    })
+  }));
+  const now = Date.now();
+  t.mock.method(Exam, 'findOne', async () => new Exam({
+    examId: 'EX1',
+    title: 'Algebra',
+    startsAt: new Date(now - 60 * 60 * 1000),
+    endsAt: new Date(now + 60 * 60 * 1000),
+    durationMinutes: 60,
+    requireIdentityVerification
+  }));
+  t.mock.method(Session.prototype, 'save', async function () {
+    calls.sessions.push(this.toObject());
+    return this;
+  });
+  t.mock.method(Event, 'create', async (doc) => {
+    calls.events.push(doc);
+    return { _id: new mongoose.Types.ObjectId(), ...doc };
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  return calls;
+}
+
+const start = async (fields = {}) => {
+  const checks = Object.fromEntries(REQUIRED_CHECKS.map(name => [name, { passed: true }]));
+  const response = await fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+    body: JSON.stringify({
+      examId: 'EX1',
+      consent: { accepted: true, version: '1', acceptedAt: new Date().toISOString() },
+      metadata: { systemCheck: { checkedAt: new Date().toISOString(), checks } },
+      ...fields
+    })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('an enrolled candidate who sends no live capture is recorded as unverified', async (t) => {
+  const calls = mockStorage(t, { enrollment: [ENROLLED_FACE] });
+
+  const { status, body } = await start();
+
+  assert.equal(status, 201);
+  assert.equal(body.identity.verified, false);
+  assert.equal(body.identity.reason, 'missing_capture');
+  assert.equal(calls.sessions[0].identity.reason, 'missing_capture');
+  const mismatch = calls.events.find(event => event.type === 'face_mismatch');
+  assert.equal(mismatch.details.reason, 'missing_capture');
+});
+
+test('a live capture matching the enrollment verifies the candidate', async (t) => {
+  const calls = mockStorage(t, { enrollment: [ENROLLED_FACE] });
+
+  const { status, body } = await start({ identity: { descriptor: ENROLLED_FACE } });
+
+  assert.equal(status, 201);
+  assert.equal(body.identity.verified, true);
+  assert.equal(body.identity.distance, 0);
+  assert.equal(calls.events.some(event => event.type === 'face_mismatch'), false);
+});
+
+test('candidates without an enrollment start without an identity check', async (t) => {
+  const calls = mockStorage(t, { enrollment: [] });
+
+  const { status, body } = await start();
+
+  assert.equal(status, 201);
+  assert.equal(body.identity, null);
+  assert.equal(calls.events.some(event => event.type === 'face_mismatch'), false);
+});
+
+test('exams that require verification refuse to start without a live capture', async (t) => {
+  const calls = mockStorage(t, { enrollment: [ENROLLED_FACE], requireIdentityVerification: true });
+
+  const { status, body } = await start();
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'A live face capture is required for this exam');
+  assert.equal(calls.sessions.length, 0);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const Exam = require('../models/Exam');
+const { sweepStaleSessions, sweepOverdueSessions } = require('../services/sessionSweeper');
+
+const NOW = new Date('2024-01-01T10:00:00Z');
+const minutesBefore = (count) => new Date(NOW.getTime() - count * 60 * 1000);
+
+/**
+ * Serve `sessions` to the sweeper's query and record the transitions it makes
+ * @param {import('node:test').TestContext} t
+ * @param {Array<object>} sessions
+ * @param {object} [options]
+ * @param {Set<string>} [options.taken] - Sessions another request ends first
+ */
+function mockStorage(t, sessions, { taken = new Set() } = {}) {
+  const calls = { queries: [], updates: [] };
+  t.mock.method(Session, 'find', async (query) => {
+    calls.queries.push(query);
+    return sessions;
+  });
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(item => item._id === filter._id);
+    if (taken.has(session.sessionId)) return null;
+    calls.updates.push({ sessionId: session.sessionId, update });
+    return { ...session, ...update, save: async () => {} };
+  });
+  t.mock.method(Session, 'findById', () => ({ select: () => ({ lean: async () => ({ status: 'completed' }) }) }));
+  t.mock.method(Event, 'create', async (doc) => ({ _id: 'event-1', ...doc }));
+  t.mock.method(Event, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(Event, 'find', () => ({ sort: () => ({ lean: async () => [] }) }));
+  t.mock.method(Exam, 'findOne', () => ({ lean: async () => null }));
+  t.mock.method(console, 'log', () => {});
+  return calls;
+}
+
+test('idle sessions are abandoned at their last activity', async (t) => {
+  const calls = mockStorage(t, [{
+    _id: 'id-1',
+    sessionId: 'S1',
+    status: 'active',
+    startTime: minutesBefore(40),
+    lastActivity: minutesBefore(10),
+    pausedDuration: 0
+  }]);
+
+  assert.equal(await sweepStaleSessions(NOW, 5 * 60 * 1000), 1);
+
+  assert.deepEqual(calls.queries[0].$or[0], { lastActivity: { $lt: minutesBefore(5) } });
+  const [{ update }] = calls.updates;
+  assert.equal(update.status, 'abandoned');
+  assert.deepEqual(update.endTime, minutesBefore(10));
+  // Only the 30 minutes up to the last activity count, not the idle time after it
+  assert.equal(update.duration, 1800);
+  assert.equal(update['metadata.endReason'], 'heartbeat_timeout');
+});
+
+test('sessions ended by a request during the sweep are skipped', async (t) => {
+  const sessions = ['S1', 'S2'].map((sessionId, index) => ({
+    _id: `id-${index}`,
+    sessionId,
+    status: 'active',
+    startTime: minutesBefore(40),
+    lastActivity: minutesBefore(10)
+  }));
+  const calls = mockStorage(t, sessions, { taken: new Set(['S1']) });
+
+  assert.equal(await sweepStaleSessions(NOW, 5 * 60 * 1000), 1);
+  assert.deepEqual(calls.updates.map(item => item.sessionId), ['S2']);
+});
+
+test('sessions past their time limit are completed at their deadline', async (t) => {
+  const calls = mockStorage(t, [
+    { _id: 'id-1', sessionId: 'S1', status: 'active', startTime: minutesBefore(40), timeLimitSeconds: 1800, pausedDuration: 0 },
+    // Paused for 15 minutes, so it still has 5 minutes left
+    { _id: 'id-2', sessionId: 'S2', status: 'active', startTime: minutesBefore(40), timeLimitSeconds: 1800, pausedDuration: 900 }
+  ]);
+
+  assert.equal(await sweepOverdueSessions(NOW), 1);
+
+  assert.deepEqual(calls.updates.map(item => item.sessionId), ['S1']);
+  const [{ update }] = calls.updates;
+  assert.equal(update.status, 'completed');
+  assert.deepEqual(update.endTime, minutesBefore(10));
+  assert.equal(update['metadata.endReason'], 'time_limit');
+});
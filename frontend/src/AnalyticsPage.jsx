@@ -0,0 +1,279 @@
+import { useEffect, useState } from 'react';
+import { analyticsApi, examsApi } from './utils/api';
+import ExamPicker from './ExamPicker';
+import './ProctorGrid.css';
+import './AnalyticsPage.css';
+
+const STATUS_OPTIONS = ['', 'active', 'paused', 'completed', 'terminated', 'abandoned'];
+const BUCKET_OPTIONS = [1, 5, 15, 60];
+
+const formatLabel = (type) => type.replace(/_/g, ' ');
+
+// Horizontal bar scaled against the largest value in its chart
+const Bar = ({ value, max, className = '' }) => (
+  <div className="analytics-bar-track">
+    <div className={`analytics-bar ${className}`} style={{ width: `${max ? (value / max) * 100 : 0}%` }} />
+  </div>
+);
+
+const OverviewCards = ({ overview }) => (
+  <div className="analytics-cards">
+    <div className="analytics-card">
+      <span className="card-value">{overview.sessions.total}</span>
+      <span className="card-label">Sessions</span>
+    </div>
+    {Object.entries(overview.sessions.byStatus).map(([status, count]) => (
+      <div key={status} className="analytics-card">
+        <span className="card-value">{count}</span>
+        <span className="card-label">{status}</span>
+      </div>
+    ))}
+    <div className="analytics-card">
+      <span className="card-value">{overview.scores.average ?? '–'}</span>
+      <span className="card-label">Average score</span>
+    </div>
+    <div className="analytics-card">
+      <span className="card-value">{overview.scores.min ?? '–'}</span>
+      <span className="card-label">Lowest score</span>
+    </div>
+  </div>
+);
+
+const EventTypeTable = ({ eventTypes }) => {
+  if (eventTypes.length === 0) return <div className="grid-message">No events recorded.</div>;
+  return (
+    <table className="analytics-table">
+      <thead>
+        <tr>
+          <th>Event</th>
+          <th>Sessions</th>
+          <th>Share of sessions</th>
+          <th>Events</th>
+        </tr>
+      </thead>
+      <tbody>
+        {eventTypes.map(row => (
+          <tr key={row.type}>
+            <td>{formatLabel(row.type)}</td>
+            <td>{row.sessions}</td>
+            <td className="share-cell">
+              <Bar value={row.sessionShare} max={100} />
+              <span>{row.sessionShare}%</span>
+            </td>
+            <td>{row.events}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const ObjectList = ({ objects }) => {
+  if (objects.length === 0) return <div className="grid-message">No objects detected.</div>;
+  const max = Math.max(...objects.map(row => row.detections));
+  return (
+    <ul className="analytics-bars">
+      {objects.map(row => (
+        <li key={row.object}>
+          <span className="bar-label">{row.object}</span>
+          <Bar value={row.detections} max={max} className="bar-warning" />
+          <span className="bar-value" title={`${row.sessions} sessions, average confidence ${row.averageConfidence ?? '–'}`}>
+            {row.detections}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const Timeline = ({ timeline, bucketMinutes }) => {
+  if (timeline.length === 0) return <div className="grid-message">No violations recorded.</div>;
+  const max = Math.max(...timeline.map(row => row.count));
+  return (
+    <div className="analytics-timeline">
+      {timeline.map(row => (
+        <div
+          key={row.time}
+          className="timeline-column"
+          title={`${new Date(row.time).toLocaleString()}: ${row.count} violations (${row.perMinute}/min)\n${
+            Object.entries(row.byType).map(([type, count]) => `${formatLabel(type)}: ${count}`).join('\n')
+          }`}
+        >
+          <div className="timeline-bar" style={{ height: `${(row.count / max) * 100}%` }} />
+        </div>
+      ))}
+      <div className="timeline-axis">
+        <span>{new Date(timeline[0].time).toLocaleTimeString()}</span>
+        <span>{bucketMinutes} min buckets</span>
+        <span>{new Date(timeline[timeline.length - 1].time).toLocaleTimeString()}</span>
+      </div>
+    </div>
+  );
+};
+
+const ScoreHistogram = ({ scores }) => {
+  const max = Math.max(...scores.buckets.map(bucket => bucket.count));
+  return (
+    <>
+      <ul className="analytics-bars">
+        {scores.buckets.map(bucket => (
+          <li key={bucket.min}>
+            <span className="bar-label">{bucket.min}–{bucket.max}</span>
+            <Bar
+              value={bucket.count}
+              max={max}
+              className={bucket.max <= 40 ? 'bar-danger' : bucket.max <= 70 ? 'bar-warning' : 'bar-success'}
+            />
+            <span className="bar-value">{bucket.count}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="risk-summary">
+        {Object.entries(scores.riskLevels).map(([level, count]) => (
+          <span key={level} className={`risk-badge risk-${level}`}>{level}: {count}</span>
+        ))}
+      </div>
+    </>
+  );
+};
+
+const AnalyticsPage = ({ user, onLogout }) => {
+  const [exam, setExam] = useState(null);
+  const [filters, setFilters] = useState({ status: '', startDate: '', endDate: '' });
+  const [bucketMinutes, setBucketMinutes] = useState(5);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The exam comes from the URL: /analytics?examId=MATH-101
+  const examId = new URLSearchParams(window.location.search).get('examId');
+
+  useEffect(() => {
+    if (!examId) return;
+    examsApi.get(examId)
+      .then(result => setExam(result.exam))
+      .catch(err => setError(err.message));
+  }, [examId]);
+
+  useEffect(() => {
+    if (!examId) return undefined;
+    let cancelled = false;
+
+    // Only send the filters that are set; the end date includes the whole day
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    if (params.endDate) params.endDate = `${params.endDate}T23:59:59.999`;
+
+    setLoading(true);
+    Promise.all([
+      analyticsApi.overview(examId, params),
+      analyticsApi.objects(examId, params),
+      analyticsApi.timeline(examId, { ...params, bucketMinutes }),
+      analyticsApi.scores(examId, params),
+    ])
+      .then(([overview, objects, timeline, scores]) => {
+        if (cancelled) return;
+        setData({
+          overview: overview.overview,
+          objects: objects.objects,
+          timeline: timeline.timeline,
+          scores,
+        });
+        setError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [examId, filters, bucketMinutes]);
+
+  const updateFilter = (name) => (e) => setFilters(prev => ({ ...prev, [name]: e.target.value }));
+
+  return (
+    <div className="proctor-grid">
+      <header className="grid-header">
+        <div>
+          <h1>{exam ? `${exam.title} analytics` : 'Exam Analytics'}</h1>
+          {examId && <span className="grid-subtitle">{examId}</span>}
+        </div>
+        <div className="grid-header-right">
+          <span>{user.name}</span>
+          <button className="link-button" onClick={onLogout}>Sign out</button>
+        </div>
+      </header>
+
+      <main className="grid-content">
+        {!examId ? (
+          <ExamPicker basePath="/analytics" />
+        ) : (
+          <>
+            <div className="analytics-filters">
+              <label>
+                Status
+                <select value={filters.status} onChange={updateFilter('status')}>
+                  {STATUS_OPTIONS.map(status => (
+                    <option key={status} value={status}>{status || 'All'}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                From
+                <input type="date" value={filters.startDate} onChange={updateFilter('startDate')} />
+              </label>
+              <label>
+                To
+                <input type="date" value={filters.endDate} onChange={updateFilter('endDate')} />
+              </label>
+              {loading && <span className="analytics-loading">Loading...</span>}
+            </div>
+
+            {error && <div className="grid-message error">{error}</div>}
+
+            {data && (
+              <div className="analytics-sections">
+                <section className="analytics-section analytics-wide">
+                  <h2>Overview</h2>
+                  <OverviewCards overview={data.overview} />
+                </section>
+
+                <section className="analytics-section analytics-wide">
+                  <h2>Sessions per event type</h2>
+                  <EventTypeTable eventTypes={data.overview.eventTypes} />
+                </section>
+
+                <section className="analytics-section analytics-wide">
+                  <div className="section-header">
+                    <h2>Violations over time</h2>
+                    <select value={bucketMinutes} onChange={(e) => setBucketMinutes(Number(e.target.value))}>
+                      {BUCKET_OPTIONS.map(minutes => (
+                        <option key={minutes} value={minutes}>{minutes} min</option>
+                      ))}
+                    </select>
+                  </div>
+                  <Timeline timeline={data.timeline} bucketMinutes={bucketMinutes} />
+                </section>
+
+                <section className="analytics-section">
+                  <h2>Detected objects</h2>
+                  <ObjectList objects={data.objects} />
+                </section>
+
+                <section className="analytics-section">
+                  <h2>Integrity scores</h2>
+                  <ScoreHistogram scores={data.scores} />
+                </section>
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
@@ -3,12 +3,23 @@ import '@tensorflow/tfjs';
 import * as faceapi from 'face-api.js';
 import { useEffect, useRef, useState } from 'react';
 import Webcam from 'react-webcam';
+import { useAudioMonitor } from './hooks/useAudioMonitor';
+import { useCandidateChannel } from './hooks/useCandidateChannel';
+import { useFaceIdentity } from './hooks/useFaceIdentity';
+import { useLockdownMonitor } from './hooks/useLockdownMonitor';
+import { useScreenShare } from './hooks/useScreenShare';
+import { useSessionHeartbeat } from './hooks/useSessionHeartbeat';
+import { useSessionRecorder } from './hooks/useSessionRecorder';
+import { estimateGaze, estimateHeadPose, lookingAwayReason } from './utils/headPose';
+import { API_BASE, examsApi, sessionApi, setSessionToken } from './utils/api';
+import { classifyObject, DEFAULT_DETECTION_POLICY } from './utils/detectionPolicy';
+import { createEpisodeTracker } from './utils/episodeTracker';
+import { closestDistance, describeFace } from './utils/faceIdentity';
+import { drainQueue, enqueueEvent, startEventQueue, subscribeQueue } from './utils/eventQueue';
+import PreCheck from './PreCheck';
+import ConsentNotice from './ConsentNotice';
 import './App.css';
 
-// Get API base URL from environment variables
-const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000';
-const API_PREFIX = '/api';
-
 // Log environment for debugging
 console.log('Environment:', {
   NODE_ENV: import.meta.env.NODE_ENV,
@@ -23,21 +34,143 @@ const STATUS = {
   NO_FACE: 'No Face Detected',
   MULTIPLE_FACES: 'Multiple Faces Detected',
   SUSPICIOUS_ACTIVITY: 'Suspicious Activity Detected',
+  LOOKING_AWAY: 'Looking Away',
+  PAUSED: 'Paused by Proctor',
   FOCUSED: 'Focused'
 };
 
-export default function App() {
+// How each kind of speech segment from the microphone is reported
+const AUDIO_EVENTS = {
+  speech_detected: { message: 'Speech detected', severity: 'info' },
+  sustained_speech: { message: 'Sustained speech detected', severity: 'warning' },
+  multiple_voices: { message: 'Multiple voices detected', severity: 'error' }
+};
+
+export default function App({ user, onLogout }) {
   const [isMonitoring, setIsMonitoring] = useState(false);
   const [statusText, setStatusText] = useState('Idle');
   const [statusColor, setStatusColor] = useState('gray');
   const [events, setEvents] = useState([]);
   const [modelsLoaded, setModelsLoaded] = useState(false);
+  // The recognition model is optional; without it identity checks are skipped
+  const [recognitionLoaded, setRecognitionLoaded] = useState(false);
+  const [enrolling, setEnrolling] = useState(false);
   const [cocoModel, setCocoModel] = useState(null);
   const [sessionId, setSessionId] = useState(null);
+  // Exam code can be pre-filled from the invitation link: /?examId=MATH-101
+  const [examId, setExamId] = useState(() => new URLSearchParams(window.location.search).get('examId') || '');
+  const [exam, setExam] = useState(null);
+  const [pendingEvents, setPendingEvents] = useState(0);
+  // Queued events the server refused; they stay on this device
+  const [droppedEvents, setDroppedEvents] = useState(0);
+  const [isPaused, setIsPaused] = useState(false);
+  // Steps between clicking start and the session starting: 'consent', then the system 'check'
+  const [startStep, setStartStep] = useState(null);
+  // Acceptance of the exam's privacy notice, sent with the session start
+  const [consent, setConsent] = useState(null);
+  // Latest proctor command shown to the candidate until they acknowledge it
+  const [intervention, setIntervention] = useState(null);
   const webcamRef = useRef(null);
   const canvasRef = useRef(null);
   const detectionInterval = useRef(null);
   const eventLogRef = useRef(null);
+  const lastScreenshotRef = useRef({});
+  // Groups conditions seen on consecutive ticks into episodes (created from the policy on first use)
+  const episodesRef = useRef(null);
+  // Detection thresholds, intervals and object classes served by the backend for the exam
+  const policyRef = useRef(DEFAULT_DETECTION_POLICY);
+
+  // Reference face the live face is compared with at session start and during the exam
+  const { enrollment, error: enrollmentError, enroll } = useFaceIdentity(recognitionLoaded && user.role === 'candidate');
+
+  // Browser lockdown signals (tab switches, clipboard, devtools, fullscreen) are logged as user actions
+  const { isFullscreen, requestFullscreen } = useLockdownMonitor({
+    enabled: isMonitoring && !isPaused,
+    requireFullscreen: Boolean(exam?.requireFullscreen),
+    onViolation: (violation) => logEvent({ ...violation, source: 'user_action' })
+  });
+
+  // Entire-screen share with periodic thumbnails, on exams that require it
+  const { sharing: isSharingScreen, error: screenShareError, start: startScreenShare } = useScreenShare({
+    enabled: Boolean(sessionId) && Boolean(exam?.requireScreenShare),
+    paused: isPaused,
+    thumbnailIntervalMs: policyRef.current.screen.thumbnailIntervalMs,
+    onEvent: (event) => logEvent({ ...event, source: 'user_action' })
+  });
+  const needsScreenShare = isMonitoring && !isPaused && Boolean(exam?.requireScreenShare) && !isSharingScreen;
+
+  // Keep the session alive on the server; stop locally if it was ended elsewhere
+  useSessionHeartbeat(sessionId, (error) => {
+    logEvent({
+      type: 'session_end',
+      message: `Session ended by the server: ${error.message}`,
+      severity: 'warning',
+      sendToServer: false
+    });
+    resetSession();
+  });
+
+  // Speech picked up by the microphone, on exams that enable audio monitoring
+  const { flush: flushAudio } = useAudioMonitor(
+    Boolean(sessionId) && !isPaused && Boolean(exam?.monitorAudio),
+    policyRef.current.audio,
+    {
+      onSegment: ({ type, startedAt, duration, loudness, pitchHz }) => logEvent({
+        type,
+        message: `${AUDIO_EVENTS[type].message} (${duration}s)`,
+        severity: AUDIO_EVENTS[type].severity,
+        source: 'audio_detection',
+        timestamp: startedAt,
+        metadata: { duration, loudness, pitchHz }
+      }),
+      onError: (error) => logEvent({
+        type: 'warning',
+        message: `Microphone unavailable, audio is not being monitored: ${error.message}`,
+        severity: 'warning',
+        source: 'audio_detection'
+      })
+    }
+  );
+
+  // Webcam footage for reviewers; paused time is not recorded
+  const { stop: stopRecording } = useSessionRecorder(sessionId, !isPaused, () => webcamRef.current?.stream || null);
+
+  // Proctor commands and status changes made outside this tab (pause, resume, termination)
+  const { send: sendToProctor } = useCandidateChannel(sessionId, (message) => {
+    if (message.type === 'intervention') {
+      logEvent({
+        type: 'proctor_intervention',
+        message: `Proctor: ${message.message}`,
+        severity: 'warning',
+        sendToServer: false
+      });
+      setIntervention(message);
+    } else if (message.type === 'session') {
+      if (message.action === 'paused') {
+        stopDetection();
+        closeEpisodes();
+        flushAudio();
+        setIsPaused(true);
+        setStatusText(STATUS.PAUSED);
+      } else if (message.action === 'resumed') {
+        setIsPaused(false);
+        startDetection();
+      } else if (message.action === 'terminated' || message.action === 'abandoned') {
+        logEvent({
+          type: 'session_end',
+          message: `Session ${message.action}${message.details?.endReason ? ` (${message.details.endReason})` : ''}`,
+          severity: 'warning',
+          sendToServer: false
+        });
+        resetSession();
+      }
+    }
+  });
+
+  const acknowledgeIntervention = () => {
+    sendToProctor({ type: 'ack', interventionId: intervention.interventionId });
+    setIntervention(null);
+  };
 
   // Load ML models
   useEffect(() => {
@@ -46,6 +179,14 @@ export default function App() {
         // Load face-api.js models
         await faceapi.nets.tinyFaceDetector.loadFromUri('/models');
         await faceapi.nets.faceLandmark68Net.loadFromUri('/models');
+
+        try {
+          await faceapi.nets.faceRecognitionNet.loadFromUri('/models');
+          setRecognitionLoaded(true);
+        } catch (error) {
+          console.warn('Face recognition model not available:', error);
+          logEvent('Identity verification unavailable: face recognition model not found in /models');
+        }
         
         // Load COCO-SSD model
         const cocoModel = await cocoSsd.load();
@@ -69,6 +210,19 @@ export default function App() {
     };
   }, []);
 
+  // Upload events queued while offline (including from a previous page load)
+  useEffect(() => {
+    const stopQueue = startEventQueue();
+    const unsubscribe = subscribeQueue((pending, dropped) => {
+      setPendingEvents(pending);
+      setDroppedEvents(dropped);
+    });
+    return () => {
+      stopQueue();
+      unsubscribe();
+    };
+  }, []);
+
   // Start/Stop monitoring based on session
   useEffect(() => {
     if (sessionId && modelsLoaded) {
@@ -80,9 +234,61 @@ export default function App() {
     return () => stopDetection();
   }, [sessionId, modelsLoaded]);
 
+  // Periodically compare the live face with the enrollment; kept in a ref so the interval isn't reset every render
+  const checkIdentityRef = useRef(null);
+  useEffect(() => {
+    checkIdentityRef.current = async () => {
+      const video = webcamRef.current?.video;
+      if (!video || !enrollment?.enrolled) return;
+
+      const policy = policyRef.current;
+      try {
+        const descriptor = await describeFace(video, policy.face.scoreThreshold);
+        // A missing face is reported by the detection loop
+        if (!descriptor) return;
+
+        const distance = closestDistance(descriptor, enrollment.descriptors);
+        if (distance > policy.identity.matchDistance) {
+          logEvent({
+            type: 'face_mismatch',
+            message: 'Face does not match the enrolled candidate',
+            severity: 'error',
+            source: 'face_detection',
+            metadata: { distance: Math.round(distance * 1000) / 1000, threshold: policy.identity.matchDistance },
+            screenshot: captureEvidence('face_mismatch')
+          });
+        }
+      } catch (error) {
+        console.error('Error checking identity:', error);
+      }
+    };
+  });
+
+  useEffect(() => {
+    if (!sessionId || isPaused || !enrollment?.enrolled) return undefined;
+    const interval = setInterval(() => checkIdentityRef.current?.(), policyRef.current.identity.checkIntervalMs);
+    return () => clearInterval(interval);
+  }, [sessionId, isPaused, enrollment]);
+
+  const enrollFace = async () => {
+    setEnrolling(true);
+    try {
+      await enroll(webcamRef.current?.video, DEFAULT_DETECTION_POLICY.face.scoreThreshold);
+      logEvent('Face enrolled for identity verification');
+    } catch (error) {
+      logEvent({
+        type: 'error',
+        message: `Face enrollment failed: ${error.message}`,
+        severity: 'error'
+      });
+    } finally {
+      setEnrolling(false);
+    }
+  };
+
   const startDetection = () => {
     stopDetection(); // Clear any existing interval
-    detectionInterval.current = setInterval(tick, 1000);
+    detectionInterval.current = setInterval(tick, policyRef.current.intervals.detectionMs);
     setStatusText(STATUS.MONITORING);
     setStatusColor('green');
   };
@@ -97,6 +303,19 @@ export default function App() {
     }
   };
 
+  // Grab a webcam frame as evidence, at most once per cooldown for each violation type
+  const captureEvidence = (type) => {
+    const now = Date.now();
+    if (now - (lastScreenshotRef.current[type] || 0) < policyRef.current.intervals.screenshotCooldownMs) {
+      return null;
+    }
+    const screenshot = webcamRef.current?.getScreenshot() || null;
+    if (screenshot) {
+      lastScreenshotRef.current[type] = now;
+    }
+    return screenshot;
+  };
+
   const tick = async () => {
     if (!webcamRef.current?.video || !canvasRef.current) return;
     
@@ -110,21 +329,39 @@ export default function App() {
     
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const policy = policyRef.current;
+    episodesRef.current ??= createEpisodeTracker(policy.episodes);
+    const episodes = episodesRef.current;
+    // Conditions present on this frame, keyed by what makes them the same episode
+    const conditions = {};
     
     try {
       // Face detection
       const detections = await faceapi
-        .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: 0.5 }))
-        .withFaceLandmarks(true);
+        .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: policy.face.scoreThreshold }))
+        .withFaceLandmarks();
 
       if (detections.length === 0) {
         setStatusText(STATUS.NO_FACE);
         setStatusColor('red');
-        logEvent('No face detected');
+        conditions.no_face = {
+          type: 'no_face',
+          message: 'No face detected',
+          severity: 'warning',
+          source: 'face_detection'
+        };
       } else if (detections.length > 1) {
         setStatusText(STATUS.MULTIPLE_FACES);
         setStatusColor('red');
-        logEvent('Multiple faces detected');
+        conditions.multiple_faces = {
+          type: 'multiple_faces',
+          message: 'Multiple faces detected',
+          severity: 'error',
+          source: 'face_detection',
+          confidence: Math.max(...detections.map(d => d.detection.score)),
+          metadata: { count: detections.length }
+        };
       } else {
         const detection = detections[0];
         const box = detection.detection.box;
@@ -149,33 +386,55 @@ export default function App() {
         const frameArea = canvas.width * canvas.height;
         const faceRatio = faceArea / frameArea;
         
-        if (faceRatio < 0.1) {
+        if (faceRatio < policy.face.minFaceRatio) {
           setStatusText('Move closer');
           setStatusColor('orange');
-        } else if (faceRatio > 0.3) {
+        } else if (faceRatio > policy.face.maxFaceRatio) {
           setStatusText('Move back');
           setStatusColor('orange');
         } else {
           setStatusText(STATUS.FOCUSED);
           setStatusColor('green');
         }
+
+        // Head pose and gaze: flag looking off-screen once it lasts longer than the exam allows
+        const limits = policy.headPose;
+        const pose = estimateHeadPose(landmarks.positions);
+        const gaze = estimateGaze(video, landmarks.positions);
+        const reason = lookingAwayReason(pose, gaze, limits);
+
+        if (reason) {
+          conditions.looking_away = {
+            type: 'looking_away',
+            message: 'Looking away from the screen',
+            severity: 'warning',
+            source: 'face_detection',
+            minDurationMs: limits.lookingAwaySeconds * 1000,
+            metadata: { reason, yaw: pose.yaw, pitch: pose.pitch, gaze: gaze?.direction }
+          };
+          if (episodes.isReported('looking_away')) {
+            setStatusText(STATUS.LOOKING_AWAY);
+            setStatusColor('red');
+          }
+        }
       }
       
       // Object detection
       if (cocoModel) {
-        const predictions = await cocoModel.detect(video);
+        const predictions = await cocoModel.detect(video, undefined, policy.objects.scoreThreshold);
         let suspiciousActivityDetected = false;
         
         // Draw object detections
         for (const prediction of predictions) {
-          // Only care about certain classes
-          const suspiciousObjects = ['cell phone', 'book', 'laptop', 'mouse', 'keyboard', 'book'];
-          if (suspiciousObjects.includes(prediction.class)) {
+          // Only care about the classes the exam forbids or flags as suspicious
+          const classification = classifyObject(policy, prediction.class);
+          if (classification) {
             suspiciousActivityDetected = true;
+            const color = classification.type === 'forbidden_object' ? '#FF0000' : '#FFA500';
             
             // Draw bounding box
             const [x, y, width, height] = prediction.bbox;
-            ctx.strokeStyle = '#FF0000';
+            ctx.strokeStyle = color;
             ctx.lineWidth = 2;
             ctx.strokeRect(x, y, width, height);
             
@@ -186,12 +445,18 @@ export default function App() {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
             ctx.fillRect(x - 2, y - 20, textWidth + 4, 20);
             
-            ctx.fillStyle = '#FF0000';
+            ctx.fillStyle = color;
             ctx.font = '14px Arial';
             ctx.fillText(text, x, y > 10 ? y - 5 : 10);
             
-            // Log suspicious object
-            logEvent(`Suspicious object detected: ${prediction.class}`);
+            conditions[`${classification.type}:${prediction.class}`] = {
+              type: classification.type,
+              message: `${classification.type === 'forbidden_object' ? 'Forbidden' : 'Suspicious'} object detected: ${prediction.class}`,
+              severity: classification.severity,
+              source: 'object_detection',
+              confidence: prediction.score,
+              metadata: { object: prediction.class, confidence: prediction.score, bbox: prediction.bbox }
+            };
           }
         }
         
@@ -200,17 +465,60 @@ export default function App() {
           setStatusColor('red');
         }
       }
+
+      reportEpisodes(episodes.update(conditions));
     } catch (error) {
       console.error('Error in detection:', error);
       logEvent(`Detection error: ${error.message}`);
     }
   };
 
+  /**
+   * Log episodes that became reportable (with evidence) and ones that ended
+   * @param {{ started: Array<object>, ended: Array<object> }} changes - From the episode tracker
+   */
+  const reportEpisodes = ({ started = [], ended = [] }) => {
+    const toIso = (time) => new Date(time).toISOString();
+
+    started.forEach(({ id, startedAt, peakConfidence, condition }) => {
+      const { type, message, severity, source, metadata } = condition;
+      logEvent({
+        type,
+        message,
+        severity,
+        source,
+        metadata,
+        timestamp: startedAt,
+        episode: { id, status: 'open', startedAt: toIso(startedAt), peakConfidence },
+        screenshot: captureEvidence(type)
+      });
+    });
+
+    ended.forEach(({ id, startedAt, endedAt, duration, peakConfidence, condition }) => {
+      const { type, message, severity, source, metadata } = condition;
+      logEvent({
+        type,
+        message: `${message} (${duration}s)`,
+        severity,
+        source,
+        metadata,
+        episode: { id, status: 'closed', startedAt: toIso(startedAt), endedAt: toIso(endedAt), duration, peakConfidence }
+      });
+    });
+  };
+
+  // End running episodes so their duration is recorded before monitoring stops
+  const closeEpisodes = () => {
+    if (!episodesRef.current) return;
+    reportEpisodes({ ended: episodesRef.current.closeAll() });
+  };
+
   const logEvent = (event) => {
     try {
       // Handle both string and object events
       const isObject = typeof event === 'object' && event !== null;
-      const timestamp = new Date();
+      const timestamp = isObject && event.timestamp ? new Date(event.timestamp) : new Date();
+      const episode = isObject ? event.episode : undefined;
       
       const newEvent = {
         id: Date.now(),
@@ -219,31 +527,38 @@ export default function App() {
         type: isObject ? event.type || 'info' : 'info',
         message: isObject ? event.message || '' : event,
         severity: isObject ? event.severity || 'info' : 'info',
-        ...(isObject ? { metadata: event.metadata || {} } : {})
+        source: isObject ? event.source || 'frontend' : 'frontend',
+        ...(isObject ? { metadata: event.metadata || {} } : {}),
+        ...(episode ? { episodeId: episode.id } : {})
       };
       
-      setEvents(prev => [newEvent, ...prev].slice(0, 100));
+      if (episode?.status === 'closed') {
+        // The episode is already listed; show its final duration instead of adding another entry
+        setEvents(prev => prev.map(item => (item.episodeId === episode.id ? { ...item, message: newEvent.message } : item)));
+      } else {
+        setEvents(prev => [newEvent, ...prev].slice(0, 100));
+      }
       
       // Auto-scroll the event log
       if (eventLogRef.current) {
         eventLogRef.current.scrollTop = 0;
       }
       
-      // Optionally send event to backend if session is active
+      // Queue the event for upload if a session is active; the queue survives network drops
       if (sessionId && isObject && event.sendToServer !== false) {
         // Don't await this to avoid blocking the UI
-        fetch(`${API_BASE}${API_PREFIX}/events`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            sessionId,
-            type: newEvent.type,
-            details: newEvent.metadata,
-            timestamp: newEvent.timestamp,
-            severity: newEvent.severity
-          })
+        enqueueEvent(sessionId, {
+          type: newEvent.type,
+          details: { message: newEvent.message, ...newEvent.metadata },
+          timestamp: newEvent.timestamp,
+          severity: newEvent.severity,
+          source: newEvent.source,
+          // Start and end of an episode are merged into one record by the server
+          episode,
+          // Evidence snapshot is sent once and not kept in the local event list
+          screenshot: event.screenshot || undefined
         }).catch(err => {
-          console.error('Failed to log event to server:', err);
+          console.error('Failed to queue event:', err);
         });
       }
     } catch (error) {
@@ -251,52 +566,98 @@ export default function App() {
     }
   };
 
-  const startSession = async () => {
+  /**
+   * Start the session once the privacy notice is accepted and the system check has passed
+   * @param {object} systemCheck - Results stored as Session.metadata.systemCheck
+   * @param {Array<{ screenshot: string, takenAt: number }>} [roomScanFrames]
+   */
+  const startSession = async (systemCheck, roomScanFrames = []) => {
+    setStartStep(null);
     try {
       setStatusText('Starting session...');
       setStatusColor('blue');
       
       console.log('Starting new proctoring session...');
-      const response = await fetch(`${API_BASE}${API_PREFIX}/session`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ 
-          candidateName: 'Test Candidate',
-          examId: 'exam-123',
-          metadata: {
-            userAgent: navigator.userAgent,
-            screenResolution: `${window.screen.width}x${window.screen.height}`,
-            browser: {
-              name: navigator.appName,
-              version: navigator.appVersion,
-              platform: navigator.platform,
-              language: navigator.language
-            },
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-            startTime: new Date().toISOString()
-          }
-        })
+      // The server compares this capture with the candidate's enrollment
+      const video = webcamRef.current?.video;
+      const descriptor = enrollment?.enrolled && video
+        ? await describeFace(video, DEFAULT_DETECTION_POLICY.face.scoreThreshold)
+        : null;
+
+      // The candidate name comes from the signed-in account
+      const data = await sessionApi.start({
+        examId: examId.trim(),
+        consent,
+        ...(descriptor ? { identity: { descriptor } } : {}),
+        metadata: {
+          userAgent: navigator.userAgent,
+          screenResolution: `${window.screen.width}x${window.screen.height}`,
+          browser: {
+            name: navigator.appName,
+            version: navigator.appVersion,
+            platform: navigator.platform,
+            language: navigator.language
+          },
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          startTime: new Date().toISOString(),
+          systemCheck
+        }
       });
       
-      const data = await response.json();
-      
-      if (!response.ok) {
-        const errorMsg = data.error || `HTTP error! status: ${response.status}`;
-        throw new Error(errorMsg);
-      }
-      
       if (!data.success) {
         throw new Error(data.message || 'Failed to start session');
       }
       
       console.log('Session started with ID:', data.sessionId);
+      setSessionToken(data.sessionToken);
+
+      // The room scan happened before the session existed; its frames become the session's first evidence
+      roomScanFrames.forEach((frame, index) => {
+        enqueueEvent(data.sessionId, {
+          type: 'room_scan',
+          details: { message: `Room scan view ${index + 1} of ${roomScanFrames.length}` },
+          timestamp: new Date(frame.takenAt).toISOString(),
+          severity: 'info',
+          source: 'frontend',
+          screenshot: frame.screenshot
+        }).catch(err => console.error('Failed to queue room scan frame:', err));
+      });
+
+      // Apply the exam's detection policy before the detection loop starts
+      try {
+        const { policy } = await examsApi.policy(data.exam.examId);
+        policyRef.current = policy;
+      } catch (error) {
+        policyRef.current = DEFAULT_DETECTION_POLICY;
+        logEvent({
+          type: 'warning',
+          message: `Using default detection settings: ${error.message}`,
+          severity: 'warning',
+          sendToServer: false
+        });
+      }
+
+      setExam(data.exam);
       setSessionId(data.sessionId);
       setIsMonitoring(true);
       setStatusText(STATUS.MONITORING);
       setStatusColor('green');
+
+      if (data.exam?.requireFullscreen && !document.fullscreenElement) {
+        // May be rejected if the click no longer counts as a user gesture; the overlay asks again
+        requestFullscreen();
+      }
+      
+      if (data.identity && !data.identity.verified) {
+        logEvent({
+          type: 'face_mismatch',
+          message: data.identity.reason === 'missing_capture'
+            ? 'Your face could not be captured to check against your enrollment photo; your proctor has been notified'
+            : 'Your face does not match your enrollment photo; your proctor has been notified',
+          severity: 'error',
+          sendToServer: false
+        });
+      }
       
       // Log successful session start
       logEvent({
@@ -335,31 +696,22 @@ export default function App() {
       setStatusColor('blue');
       
       console.log('Ending session:', sessionId);
-      const response = await fetch(`${API_BASE}${API_PREFIX}/session/end`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ 
-          sessionId,
-          endReason: 'user_ended',
-          metadata: {
-            status: statusText,
-            eventCount: events.length,
-            endTime: new Date().toISOString(),
-            duration: Math.floor((new Date() - new Date(events[0]?.timestamp)) / 1000) || 0
-          }
-        })
+      // Record running episodes and upload what's still queued so the session doesn't end before its last
+      // events or footage
+      stopDetection();
+      closeEpisodes();
+      flushAudio();
+      await Promise.all([drainQueue(), stopRecording()]);
+      const data = await sessionApi.end(sessionId, {
+        endReason: 'user_ended',
+        metadata: {
+          status: statusText,
+          eventCount: events.length,
+          endTime: new Date().toISOString(),
+          duration: Math.floor((new Date() - new Date(events[0]?.timestamp)) / 1000) || 0
+        }
       });
       
-      const data = await response.json();
-      
-      if (!response.ok) {
-        const errorMsg = data.error || `HTTP error! status: ${response.status}`;
-        throw new Error(errorMsg);
-      }
-      
       if (!data.success) {
         throw new Error(data.message || 'Failed to end session properly');
       }
@@ -384,27 +736,39 @@ export default function App() {
         severity: 'error'
       });
     } finally {
-      // Stop detection and cleanup
-      stopDetection();
-      
-      // Clear canvas
-      const canvas = canvasRef.current;
-      if (canvas) {
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-      }
-      
-      // Reset states
-      setSessionId(null);
-      setIsMonitoring(false);
-      setStatusText(STATUS.IDLE);
-      setStatusColor('gray');
+      resetSession();
+    }
+  };
+
+  // Stop detection and return to the idle state
+  const resetSession = () => {
+    stopDetection();
+    episodesRef.current = null;
       
-      // Clear events after a short delay
-      setTimeout(() => {
-        setEvents([]);
-      }, 2000);
+    // Clear canvas
+    const canvas = canvasRef.current;
+    if (canvas) {
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+    
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
     }
+
+    // Reset states
+    setSessionToken(null);
+    setExam(null);
+    setSessionId(null);
+    setIsMonitoring(false);
+    setIsPaused(false);
+    setStatusText(STATUS.IDLE);
+    setStatusColor('gray');
+    
+    // Clear events after a short delay
+    setTimeout(() => {
+      setEvents([]);
+    }, 2000);
   };
 
   const getStatusClass = () => {
@@ -417,7 +781,10 @@ export default function App() {
       case STATUS.NO_FACE:
       case STATUS.MULTIPLE_FACES:
       case STATUS.SUSPICIOUS_ACTIVITY:
+      case STATUS.LOOKING_AWAY:
         return 'status-error';
+      case STATUS.PAUSED:
+        return 'status-idle';
       default:
         return 'status-idle';
     }
@@ -433,9 +800,54 @@ export default function App() {
             <span className={`status-dot ${getStatusClass()}`}></span>
             <span className="status-text">{statusText}</span>
           </div>
+          <div className="user-menu">
+            <span>{user.name}</span>
+            <button className="link-button" onClick={onLogout} disabled={isMonitoring}>
+              Sign out
+            </button>
+          </div>
         </div>
       </header>
 
+      {intervention && (
+        <div className={`intervention-banner intervention-${intervention.action}`} role="alert">
+          <div>
+            <strong>Message from your proctor:</strong> {intervention.message}
+          </div>
+          <button className="link-button" onClick={acknowledgeIntervention}>Got it</button>
+        </div>
+      )}
+
+      {isMonitoring && isPaused && (
+        <div className="fullscreen-overlay">
+          <div className="fullscreen-prompt">
+            <h2>Exam paused</h2>
+            <p>Your proctor has paused this exam. Please stay in front of your camera; it will resume shortly.</p>
+          </div>
+        </div>
+      )}
+
+      {needsScreenShare && (
+        <div className="fullscreen-overlay">
+          <div className="fullscreen-prompt">
+            <h2>Share your screen</h2>
+            <p>This exam requires sharing your entire screen. Choose your whole screen, not a window or a tab. Stopping the share is reported to your proctor.</p>
+            {screenShareError && <p className="prompt-error">{screenShareError}</p>}
+            <button className="btn btn-start" onClick={startScreenShare}>Share entire screen</button>
+          </div>
+        </div>
+      )}
+
+      {isMonitoring && !isPaused && !needsScreenShare && exam?.requireFullscreen && !isFullscreen && (
+        <div className="fullscreen-overlay">
+          <div className="fullscreen-prompt">
+            <h2>Fullscreen required</h2>
+            <p>This exam must be taken in fullscreen. Leaving fullscreen is reported to your proctor.</p>
+            <button className="btn btn-start" onClick={requestFullscreen}>Return to fullscreen</button>
+          </div>
+        </div>
+      )}
+
       <main className="main-content">
         <div className="monitoring-section">
           <div className="video-feed">
@@ -466,23 +878,74 @@ export default function App() {
                     <div className="loading-subtitle">This may take a moment...</div>
                   </div>
                 </div>
+              ) : startStep === 'consent' ? (
+                <ConsentNotice
+                  examId={examId.trim()}
+                  onAccepted={(accepted) => {
+                    setConsent(accepted);
+                    setStartStep('check');
+                  }}
+                  onCancel={() => setStartStep(null)}
+                />
+              ) : startStep === 'check' ? (
+                <PreCheck
+                  examId={examId.trim()}
+                  webcamRef={webcamRef}
+                  modelsLoaded={modelsLoaded}
+                  onPassed={startSession}
+                  onCancel={() => setStartStep(null)}
+                />
               ) : (
-                <button
-                  onClick={isMonitoring ? endSession : startSession}
-                  className={`btn btn-${isMonitoring ? 'stop' : 'start'}`}
-                  disabled={!modelsLoaded}
-                >
+                <>
                   {isMonitoring ? (
-                    <>
-                      <span>Stop Monitoring</span>
-                    </>
+                    exam && (
+                      <div className="exam-info">
+                        {exam.title} &middot; {exam.durationMinutes} min
+                        {exam.monitorAudio && <> &middot; Microphone monitored</>}
+                      </div>
+                    )
                   ) : (
-                    <>
+                    <label className="exam-code">
+                      Exam code
+                      <input
+                        value={examId}
+                        onChange={(e) => setExamId(e.target.value)}
+                        placeholder="e.g. MATH-101"
+                      />
+                    </label>
+                  )}
+                  <button
+                    onClick={isMonitoring ? endSession : () => setStartStep('consent')}
+                    className={`btn btn-${isMonitoring ? 'stop' : 'start'}`}
+                    disabled={!modelsLoaded || (!isMonitoring && !examId.trim())}
+                  >
+                    {isMonitoring ? (
+                      <>
+                        <span>Stop Monitoring</span>
+                      </>
+                    ) : (
+                      <>
                      
-                      <span>Start Monitoring</span>
-                    </>
+                        <span>Start Monitoring</span>
+                      </>
+                    )}
+                  </button>
+                  {!isMonitoring && enrollment && !enrollment.enrolled && (
+                    <div className="identity-enrollment">
+                      <span>Enroll your face so it can be matched with you during exams.</span>
+                      <button className="btn btn-secondary" onClick={enrollFace} disabled={enrolling}>
+                        {enrolling ? 'Capturing...' : 'Enroll face'}
+                      </button>
+                    </div>
+                  )}
+                  {enrollmentError && <div className="identity-enrollment error">{enrollmentError}</div>}
+                  {pendingEvents > 0 && (
+                    <div className="queue-status">{pendingEvents} events waiting to upload</div>
+                  )}
+                  {droppedEvents > 0 && (
+                    <div className="queue-status">{droppedEvents} events were refused by the server and kept on this device</div>
                   )}
-                </button>
+                </>
               )}
             </div>
           </div>
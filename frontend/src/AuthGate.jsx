@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { useAuth } from './hooks/useAuth';
+
+/**
+ * Render the login form until a user with one of the allowed roles is signed in
+ * @param {object} props
+ * @param {string[]} props.roles - Roles allowed to see the page
+ * @param {boolean} [props.allowRegister] - Offer candidate self-registration
+ * @param {function} props.children - Render function receiving { user, logout }
+ */
+const AuthGate = ({ roles, allowRegister = false, children }) => {
+  const { user, loading, login, register, logout } = useAuth();
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (loading) {
+    return (
+      <div className="auth-page">
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <div className="loading-text">
+            <div className="loading-title">Checking your account</div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (user && roles.includes(user.role)) {
+    return children({ user, logout });
+  }
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      if (mode === 'register') {
+        await register(form);
+      } else {
+        await login(form.email, form.password);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <form className="auth-card" onSubmit={handleSubmit}>
+        <h1>AI Proctoring System</h1>
+        <h2>{mode === 'register' ? 'Create a candidate account' : 'Sign in'}</h2>
+
+        {user && !roles.includes(user.role) && (
+          <div className="auth-error">
+            Signed in as {user.email}, but this page requires a {roles.join(' or ')} account.
+            <button type="button" className="link-button" onClick={logout}>Sign out</button>
+          </div>
+        )}
+
+        {mode === 'register' && (
+          <label>
+            Full name
+            <input name="name" value={form.name} onChange={handleChange} required />
+          </label>
+        )}
+        <label>
+          Email
+          <input name="email" type="email" value={form.email} onChange={handleChange} required />
+        </label>
+        <label>
+          Password
+          <input
+            name="password"
+            type="password"
+            minLength={mode === 'register' ? 8 : undefined}
+            value={form.password}
+            onChange={handleChange}
+            required
+          />
+        </label>
+
+        {error && <div className="auth-error">{error}</div>}
+
+        <button type="submit" className="btn btn-start" disabled={submitting}>
+          {mode === 'register' ? 'Create account' : 'Sign in'}
+        </button>
+
+        {allowRegister && (
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setMode(mode === 'register' ? 'login' : 'register')}
+          >
+            {mode === 'register' ? 'Already have an account? Sign in' : 'New candidate? Create an account'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default AuthGate;
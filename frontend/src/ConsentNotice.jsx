@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { examsApi } from './utils/api';
+import './PreCheck.css';
+
+/**
+ * Privacy notice the candidate must accept before the system check and monitoring start.
+ * The accepted version is sent with the session start; the server refuses to start without it.
+ * @param {object} props
+ * @param {string} props.examId
+ * @param {function} props.onAccepted - Called with { accepted: true, version, acceptedAt }
+ * @param {function} props.onCancel
+ */
+const ConsentNotice = ({ examId, onAccepted, onCancel }) => {
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [agreed, setAgreed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    examsApi.get(examId)
+      .then((data) => {
+        if (!cancelled) setNotice({ title: data.exam.title, ...data.exam.consentNotice });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [examId]);
+
+  const accept = () => {
+    onAccepted({ accepted: true, version: notice.version, acceptedAt: new Date().toISOString() });
+  };
+
+  return (
+    <div className="precheck">
+      <h2>Privacy notice{notice ? ` · ${notice.title}` : ''}</h2>
+      {error && <p className="consent-error">Could not load the privacy notice: {error}</p>}
+      {!notice && !error && <p className="precheck-message">Loading the privacy notice...</p>}
+      {notice && (
+        <>
+          <p className="consent-text">{notice.text}</p>
+          <label className="consent-agree">
+            <input type="checkbox" checked={agreed} onChange={(e) => setAgreed(e.target.checked)} />
+            I have read this notice and agree to be monitored during this exam
+          </label>
+        </>
+      )}
+
+      <div className="precheck-actions">
+        <button className="btn btn-start" onClick={accept} disabled={!notice || !agreed}>
+          Continue
+        </button>
+        <button className="link-button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConsentNotice;
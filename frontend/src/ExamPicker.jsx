@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { examsApi } from './utils/api';
+import './ExamPicker.css';
+
+/**
+ * List of exams linking to a per-exam page, shown when no exam is selected
+ * @param {string} basePath - Page to link to, e.g. '/proctor'
+ * @param {string} [status] - Exam status filter passed to the API ('open', 'upcoming', 'closed')
+ * @param {string} [emptyMessage]
+ */
+const ExamPicker = ({ basePath, status, emptyMessage = 'No exams found.' }) => {
+  const [exams, setExams] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    examsApi.list(status)
+      .then(data => setExams(data.exams))
+      .catch(err => setError(err.message));
+  }, [status]);
+
+  if (error) return <div className="grid-message error">{error}</div>;
+  if (!exams) return <div className="grid-message">Loading exams...</div>;
+  if (exams.length === 0) return <div className="grid-message">{emptyMessage}</div>;
+
+  return (
+    <ul className="exam-picker">
+      {exams.map(exam => (
+        <li key={exam.examId}>
+          <a href={`${basePath}?examId=${encodeURIComponent(exam.examId)}`}>
+            <strong>{exam.title}</strong>
+            <span>{exam.examId}</span>
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ExamPicker;
@@ -1,75 +1,243 @@
 import { useState, useEffect, useRef } from 'react';
+import SessionRecording from './SessionRecording';
+import { API_BASE, sessionApi } from './utils/api';
+import { createRealtimeConnection } from './utils/realtime';
+import { segmentAt, segmentOffset } from './utils/recording';
 import './InterviewerDashboard.css';
 
+const STATUS_TEXT = {
+  connecting: 'Connecting to candidate...',
+  connected: 'Connected to candidate',
+  disconnected: 'Disconnected from candidate'
+};
+
+const FINISHED_STATUSES = ['completed', 'terminated', 'abandoned', 'error'];
+const MAX_LOG_ENTRIES = 200;
+// Start playback a little before the event so the reviewer sees what led up to it
+const SEEK_LEAD_SECONDS = 2;
+
+// Same wording as the server's realtime messages (describeEvent in backend/services/realtime.js)
+const describeEvent = (event) => {
+  const text = typeof event.details?.message === 'string' ? event.details.message : event.type.replace(/_/g, ' ');
+  return event.episode?.status === 'closed' ? `${text} (${event.episode.duration}s)` : text;
+};
+
+// Screenshots are stored as /api/evidence/... paths on the API server; anything else isn't shown
+const evidenceUrl = (screenshot) => (screenshot?.startsWith('/api/evidence/') ? `${API_BASE}${screenshot}` : null);
+
+// Activity log entry for a stored event
+const toLogEntry = (event, message) => ({
+  id: event._id,
+  time: new Date(event.timestamp).getTime(),
+  timestamp: new Date(event.timestamp).toLocaleTimeString(),
+  message,
+  severity: event.severity || 'info',
+  screenshot: evidenceUrl(event.screenshot)
+});
+
 const InterviewerDashboard = () => {
   const [candidateStream, setCandidateStream] = useState(null);
-  const [status, setStatus] = useState('Connecting to candidate...');
+  const [status, setStatus] = useState(STATUS_TEXT.connecting);
   const [events, setEvents] = useState([]);
+  const [sessionStatus, setSessionStatus] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [recordingSegments, setRecordingSegments] = useState([]);
+  const [playback, setPlayback] = useState(null);
   const videoRef = useRef(null);
-  const wsRef = useRef(null);
+  const lastEventTimeRef = useRef(null);
+
+  // The session to watch comes from the URL: /interviewer?sessionId=<uuid>
+  const sessionId = new URLSearchParams(window.location.search).get('sessionId');
 
   useEffect(() => {
-    // Initialize WebSocket connection
-    const ws = new WebSocket('ws://localhost:4000/ws/interviewer');
-    wsRef.current = ws;
+    if (!sessionId) {
+      setStatus('No session selected');
+      return;
+    }
 
-    ws.onopen = () => {
-      console.log('Connected to WebSocket server');
-      setStatus('Connected to candidate');
-    };
+    sessionApi.get(sessionId)
+      .then((data) => {
+        setSessionStatus(data.session?.status || null);
+        // Earlier events (newest first), so a finished session can be reviewed too
+        const stored = (data.events || []).map(event => toLogEntry(event, describeEvent(event)));
+        setEvents(prev => [
+          ...prev,
+          ...stored.filter(entry => !prev.some(item => item.id === entry.id))
+        ].sort((a, b) => b.time - a.time).slice(0, MAX_LOG_ENTRIES));
+      })
+      .catch(error => console.error('Failed to load session:', error));
 
-    ws.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      if (data.type === 'stream') {
-        // Handle video stream
-        const videoBlob = new Blob([data.chunk], { type: 'video/webm' });
-        const videoUrl = URL.createObjectURL(videoBlob);
-        if (videoRef.current) {
-          videoRef.current.src = videoUrl;
+    const connection = createRealtimeConnection('/ws/interviewer', {
+      onStatus: (state) => setStatus(STATUS_TEXT[state]),
+      onOpen: () => {
+        // Re-subscribe after every reconnect and ask for anything missed meanwhile
+        connection.send({ type: 'subscribe', sessionId, since: lastEventTimeRef.current });
+      },
+      onMessage: (data) => {
+        if (data.type === 'stream') {
+          // Handle video stream
+          const videoBlob = new Blob([data.chunk], { type: 'video/webm' });
+          const videoUrl = URL.createObjectURL(videoBlob);
+          if (videoRef.current) {
+            videoRef.current.src = videoUrl;
+          }
+        } else if (data.type === 'event') {
+          // Handle detection events
+          const timestamp = data.event?.timestamp || new Date().toISOString();
+          lastEventTimeRef.current = timestamp;
+          setEvents(prev => {
+            const entry = toLogEntry(
+              { ...data.event, _id: data.event?._id || `${timestamp}-${prev.length}`, timestamp },
+              data.message
+            );
+            // An episode that ended is re-sent with its duration; update its entry in place
+            if (prev.some(item => item.id === entry.id)) {
+              return prev.map(item => (item.id === entry.id ? { ...entry, screenshot: item.screenshot } : item));
+            }
+            return [entry, ...prev].slice(0, MAX_LOG_ENTRIES);
+          });
+        } else if (data.type === 'session') {
+          setSessionStatus(data.status);
+          setEvents(prev => [
+            {
+              id: `session-${data.action}-${data.timestamp}`,
+              time: new Date(data.timestamp).getTime(),
+              timestamp: new Date(data.timestamp).toLocaleTimeString(),
+              message: `Session ${data.action}${data.details?.endReason ? ` (${data.details.endReason})` : ''}`,
+              severity: 'info'
+            },
+            ...prev
+          ].slice(0, MAX_LOG_ENTRIES));
+        } else if (data.type === 'intervention_ack') {
+          setEvents(prev => [
+            {
+              id: `ack-${data.interventionId}-${data.timestamp}`,
+              time: new Date(data.timestamp).getTime(),
+              timestamp: new Date(data.timestamp).toLocaleTimeString(),
+              message: 'Candidate acknowledged the proctor message',
+              severity: 'info'
+            },
+            ...prev
+          ].slice(0, MAX_LOG_ENTRIES));
         }
-      } else if (data.type === 'event') {
-        // Handle detection events
-        setEvents(prev => [
-          { id: Date.now(), timestamp: new Date().toLocaleTimeString(), message: data.message },
-          ...prev
-        ].slice(0, 50));
       }
-    };
-
-    ws.onclose = () => {
-      setStatus('Disconnected from candidate');
-    };
+    });
 
     return () => {
-      ws.close();
+      connection.close();
     };
-  }, []);
+  }, [sessionId]);
+
+  // Send a command to the candidate; the resulting events arrive over the WebSocket
+  const intervene = async (action) => {
+    let message;
+    if (action === 'warning') {
+      message = window.prompt('Warning to show the candidate', 'Please keep your attention on the exam.');
+      if (message === null) return;
+    } else if (action === 'terminate' && !window.confirm('Terminate this session? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setActionError(null);
+      const result = await sessionApi.intervene(sessionId, action, message);
+      setSessionStatus(result.status);
+      if (!result.delivered) {
+        setActionError('The candidate is not connected; the command was recorded but not shown to them.');
+      }
+    } catch (error) {
+      setActionError(error.message);
+    }
+  };
+
+  const resume = async () => {
+    try {
+      setActionError(null);
+      const result = await sessionApi.resume(sessionId);
+      setSessionStatus(result.status);
+    } catch (error) {
+      setActionError(error.message);
+    }
+  };
+
+  const isFinished = FINISHED_STATUSES.includes(sessionStatus);
+
+  // Once the session is over its recording replaces the live video
+  useEffect(() => {
+    if (!sessionId || !isFinished) return;
+    sessionApi.recording(sessionId)
+      .then(data => setRecordingSegments(data.segments || []))
+      .catch(error => console.error('Failed to load recording:', error));
+  }, [sessionId, isFinished]);
+
+  const showRecording = isFinished && recordingSegments.length > 0;
+
+  // Play the recording from just before an event
+  const playFrom = (time) => {
+    const segment = segmentAt(recordingSegments, time);
+    if (segment) {
+      setPlayback({ segmentId: segment.segmentId, offset: Math.max(0, segmentOffset(segment, time) - SEEK_LEAD_SECONDS) });
+    }
+  };
 
   return (
     <div className="interviewer-dashboard">
       <header className="dashboard-header">
         <h1>Interviewer Dashboard</h1>
+        {sessionId && (
+          <div className="report-links">
+            <span>Report:</span>
+            <a href={sessionApi.reportUrl(sessionId, 'pdf')}>PDF</a>
+            <a href={sessionApi.reportUrl(sessionId, 'html')}>HTML</a>
+          </div>
+        )}
         <div className="status-indicator">
-          <span className={`status-dot ${status === 'Connected to candidate' ? 'connected' : 'disconnected'}`}></span>
+          <span className={`status-dot ${status === STATUS_TEXT.connected ? 'connected' : 'disconnected'}`}></span>
           <span className="status-text">{status}</span>
         </div>
       </header>
 
+      {sessionId && (
+        <div className="intervention-bar">
+          <span className="session-status">Session: {sessionStatus || 'unknown'}</span>
+          <button onClick={() => intervene('warning')} disabled={isFinished}>Send warning</button>
+          <button onClick={() => intervene('recenter')} disabled={isFinished}>Ask to re-center</button>
+          {sessionStatus === 'paused' ? (
+            <button onClick={resume}>Resume</button>
+          ) : (
+            <button onClick={() => intervene('pause')} disabled={isFinished}>Pause</button>
+          )}
+          <button className="danger" onClick={() => intervene('terminate')} disabled={isFinished}>Terminate</button>
+          {actionError && <span className="action-error">{actionError}</span>}
+        </div>
+      )}
+
       <div className="dashboard-content">
         <div className="video-container">
-          <video
-            ref={videoRef}
-            autoPlay
-            playsInline
-            muted
-            className="candidate-video"
-          />
-          <div className="video-overlay">
-            <div className="recording-indicator">
-              <span className="recording-dot"></span>
-              <span>REC</span>
-            </div>
-          </div>
+          {showRecording ? (
+            <SessionRecording
+              sessionId={sessionId}
+              segments={recordingSegments}
+              playback={playback}
+              onSelect={(segmentId) => setPlayback({ segmentId, offset: 0 })}
+            />
+          ) : (
+            <>
+              <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted
+                className="candidate-video"
+              />
+              <div className="video-overlay">
+                <div className="recording-indicator">
+                  <span className="recording-dot"></span>
+                  <span>REC</span>
+                </div>
+              </div>
+            </>
+          )}
         </div>
 
         <div className="event-panel">
@@ -82,12 +250,28 @@ const InterviewerDashboard = () => {
               <div className="empty-log">No events recorded yet</div>
             ) : (
               <div className="event-list">
-                {events.map(event => (
-                  <div key={event.id} className="event-item">
-                    <span className="event-time">[{event.timestamp}]</span>
-                    <span className="event-message">{event.message}</span>
-                  </div>
-                ))}
+                {events.map(event => {
+                  const seekable = showRecording && Boolean(segmentAt(recordingSegments, event.time));
+                  return (
+                    <div
+                      key={event.id}
+                      className={`event-item severity-${event.severity}${seekable ? ' seekable' : ''}`}
+                      role={seekable ? 'button' : undefined}
+                      tabIndex={seekable ? 0 : undefined}
+                      title={seekable ? 'Play the recording from here' : undefined}
+                      onClick={seekable ? () => playFrom(event.time) : undefined}
+                      onKeyDown={seekable ? (e) => e.key === 'Enter' && playFrom(event.time) : undefined}
+                    >
+                      <span className="event-time">[{event.timestamp}]</span>
+                      <span className="event-message">{event.message}</span>
+                      {event.screenshot && (
+                        <a href={event.screenshot} target="_blank" rel="noreferrer">
+                          <img className="event-screenshot" src={event.screenshot} alt="Evidence" />
+                        </a>
+                      )}
+                    </div>
+                  );
+                })}
               </div>
             )}
           </div>
@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from 'react';
+import { examsApi } from './utils/api';
+import { DEFAULT_DETECTION_POLICY } from './utils/detectionPolicy';
+import { checkCamera, checkFace, checkLighting, checkNetwork } from './utils/systemCheck';
+import './PreCheck.css';
+
+// Run in this order; all must pass before the session can start
+const CHECKS = [
+  { name: 'camera', label: 'Camera' },
+  { name: 'models', label: 'Detection models' },
+  { name: 'lighting', label: 'Lighting' },
+  { name: 'face', label: 'Face position' },
+  { name: 'network', label: 'Connection' }
+];
+const ROOM_SCAN_FRAMES = 4;
+
+/**
+ * Guided system check shown between "Start Monitoring" and the session starting.
+ * Every check must pass; the 360° room scan is optional unless the exam requires it.
+ * @param {object} props
+ * @param {string} props.examId
+ * @param {object} props.webcamRef - Ref to the react-webcam instance
+ * @param {boolean} props.modelsLoaded
+ * @param {function} props.onPassed - Called with (systemCheck, roomScanFrames) to start the session
+ * @param {function} props.onCancel
+ */
+const PreCheck = ({ examId, webcamRef, modelsLoaded, onPassed, onCancel }) => {
+  const [policy, setPolicy] = useState(DEFAULT_DETECTION_POLICY);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [roomScan, setRoomScan] = useState({ status: 'idle', frames: [], remaining: null });
+  const scanTimerRef = useRef(null);
+
+  const runChecks = async (scoreThreshold = policy.face.scoreThreshold) => {
+    setRunning(true);
+    setResults({});
+    const record = (name, result) => setResults(prev => ({ ...prev, [name]: result }));
+    const video = webcamRef.current?.video;
+
+    record('camera', checkCamera(webcamRef.current));
+    record('models', modelsLoaded
+      ? { passed: true, message: 'Face and object detection are ready' }
+      : { passed: false, message: 'Detection models are still loading' });
+    record('lighting', checkLighting(video));
+    try {
+      record('face', await checkFace(video, scoreThreshold));
+    } catch (error) {
+      record('face', { passed: false, message: `Face check failed: ${error.message}` });
+    }
+    record('network', await checkNetwork());
+    setRunning(false);
+  };
+
+  // Latest runChecks for the effect below, which only runs when the exam changes
+  const runChecksRef = useRef(runChecks);
+  useEffect(() => {
+    runChecksRef.current = runChecks;
+  });
+
+  // Thresholds and the room scan settings come from the exam; the checks run once they are known
+  useEffect(() => {
+    let cancelled = false;
+    examsApi.policy(examId)
+      .catch(() => ({ policy: DEFAULT_DETECTION_POLICY }))
+      .then((data) => {
+        if (cancelled) return;
+        setPolicy(data.policy);
+        runChecksRef.current(data.policy.face.scoreThreshold);
+      });
+    return () => {
+      cancelled = true;
+      clearInterval(scanTimerRef.current);
+    };
+  }, [examId]);
+
+  // Slowly turn the camera (or laptop) around the room; a few frames are kept as evidence
+  const startRoomScan = () => {
+    const durationMs = policy.roomScan.durationSeconds * 1000;
+    const frameEvery = durationMs / ROOM_SCAN_FRAMES;
+    const started = Date.now();
+    const frames = [];
+
+    setRoomScan({ status: 'scanning', frames: [], remaining: policy.roomScan.durationSeconds });
+    scanTimerRef.current = setInterval(() => {
+      const elapsed = Date.now() - started;
+      if (frames.length < ROOM_SCAN_FRAMES && elapsed >= frameEvery * (frames.length + 1) - frameEvery / 2) {
+        const screenshot = webcamRef.current?.getScreenshot();
+        if (screenshot) frames.push({ screenshot, takenAt: Date.now() });
+      }
+      if (elapsed >= durationMs) {
+        clearInterval(scanTimerRef.current);
+        setRoomScan({ status: frames.length > 0 ? 'done' : 'failed', frames, remaining: null });
+      } else {
+        setRoomScan(prev => ({ ...prev, remaining: Math.ceil((durationMs - elapsed) / 1000) }));
+      }
+    }, 250);
+  };
+
+  const checksPassed = CHECKS.every(({ name }) => results[name]?.passed);
+  const roomScanDone = roomScan.status === 'done';
+  const roomScanState = { done: 'passed', failed: 'failed' }[roomScan.status] || 'pending';
+  const canContinue = checksPassed && !running && roomScan.status !== 'scanning' &&
+    (roomScanDone || !policy.roomScan.required);
+
+  const proceed = () => {
+    const systemCheck = {
+      checkedAt: new Date().toISOString(),
+      checks: {
+        ...results,
+        roomScan: roomScanDone
+          ? { passed: true, frames: roomScan.frames.length, durationSeconds: policy.roomScan.durationSeconds }
+          : { passed: false, skipped: true }
+      }
+    };
+    onPassed(systemCheck, roomScanDone ? roomScan.frames : []);
+  };
+
+  const statusOf = (result) => {
+    if (!result) return running ? 'running' : 'pending';
+    return result.passed ? 'passed' : 'failed';
+  };
+
+  return (
+    <div className="precheck">
+      <h2>System check</h2>
+      <ul className="precheck-list">
+        {CHECKS.map(({ name, label }) => (
+          <li key={name} className={`precheck-item ${statusOf(results[name])}`}>
+            <span className="precheck-label">{label}</span>
+            <span className="precheck-message">{results[name]?.message || (running ? 'Checking...' : '')}</span>
+          </li>
+        ))}
+        <li className={`precheck-item ${roomScanState}`}>
+          <span className="precheck-label">Room scan{policy.roomScan.required ? '' : ' (optional)'}</span>
+          <span className="precheck-message">
+            {roomScan.status === 'scanning' && `Slowly turn your camera around the whole room... ${roomScan.remaining}s`}
+            {roomScanDone && `Recorded ${roomScan.frames.length} views of the room`}
+            {roomScan.status === 'failed' && 'No camera image was captured; try again'}
+            {roomScan.status === 'idle' && `Show your surroundings by turning the camera a full circle over ${policy.roomScan.durationSeconds}s`}
+          </span>
+        </li>
+      </ul>
+
+      <div className="precheck-actions">
+        <button className="btn btn-secondary" onClick={() => runChecks()} disabled={running || roomScan.status === 'scanning'}>
+          Run again
+        </button>
+        <button className="btn btn-secondary" onClick={startRoomScan} disabled={running || roomScan.status === 'scanning'}>
+          {roomScanDone ? 'Scan again' : 'Start room scan'}
+        </button>
+        <button className="btn btn-start" onClick={proceed} disabled={!canContinue}>
+          Start exam
+        </button>
+        <button className="link-button" onClick={onCancel} disabled={roomScan.status === 'scanning'}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PreCheck;
@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react';
+import { examsApi } from './utils/api';
+import ExamPicker from './ExamPicker';
+import { createRealtimeConnection } from './utils/realtime';
+import './ProctorGrid.css';
+
+// Scores are recomputed on the server; bursts of events are coalesced into one refresh
+const REFRESH_DELAY = 5000;
+const RECENT_ALERT_LIMIT = 5;
+
+const formatElapsed = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const SessionTile = ({ session, elapsed }) => (
+  <a className={`session-tile risk-${session.riskLevel}`} href={`/interviewer?sessionId=${session.sessionId}`}>
+    <div className="tile-header">
+      <span className="tile-name">{session.candidateName}</span>
+      <span className={`risk-badge risk-${session.riskLevel}`}>{session.score}</span>
+    </div>
+    <div className="tile-meta">
+      <span>{formatElapsed(elapsed)}</span>
+      {session.status === 'paused' && <span className="tile-paused">Paused</span>}
+      <span>{session.eventCount} events</span>
+    </div>
+    {session.recentAlerts.length === 0 ? (
+      <div className="tile-empty">No alerts</div>
+    ) : (
+      <ul className="tile-alerts">
+        {session.recentAlerts.map(alert => (
+          <li key={alert._id} className={`severity-${alert.severity}`}>
+            <span className="alert-time">{new Date(alert.timestamp).toLocaleTimeString()}</span>
+            {alert.message}
+          </li>
+        ))}
+      </ul>
+    )}
+  </a>
+);
+
+const ProctorGrid = ({ user, onLogout }) => {
+  const [exam, setExam] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [fetchedAt, setFetchedAt] = useState(Date.now());
+  const [now, setNow] = useState(Date.now());
+  const [connection, setConnection] = useState('connecting');
+  const [error, setError] = useState(null);
+
+  // The exam to watch comes from the URL: /proctor?examId=MATH-101
+  const examId = new URLSearchParams(window.location.search).get('examId');
+
+  useEffect(() => {
+    if (!examId) return undefined;
+
+    let cancelled = false;
+    let refreshTimer = null;
+
+    const load = async () => {
+      try {
+        const data = await examsApi.live(examId);
+        if (cancelled) return;
+        setExam(data.exam);
+        setSessions(data.sessions);
+        setFetchedAt(Date.now());
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    const scheduleRefresh = () => {
+      if (refreshTimer) return;
+      refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        load();
+      }, REFRESH_DELAY);
+    };
+
+    const realtime = createRealtimeConnection('/ws/interviewer', {
+      onStatus: setConnection,
+      onOpen: () => {
+        // (Re)load after every reconnect so nothing missed while offline is lost
+        realtime.send({ type: 'subscribe', examId });
+        load();
+      },
+      onMessage: (data) => {
+        if (data.type === 'event') {
+          const { event } = data;
+          // Show alerts immediately; the score catches up with the next refresh
+          if (event && event.severity !== 'info') {
+            const alert = { _id: event._id, type: event.type, severity: event.severity, timestamp: event.timestamp, message: data.message };
+            // An episode that ended is re-sent with its duration; it isn't a new event
+            const isEpisodeEnd = event.episode?.status === 'closed';
+            setSessions(prev => prev.map(session => {
+              if (session.sessionId !== data.sessionId) return session;
+              if (isEpisodeEnd && session.recentAlerts.some(item => item._id === event._id)) {
+                return {
+                  ...session,
+                  recentAlerts: session.recentAlerts.map(item => (item._id === event._id ? alert : item))
+                };
+              }
+              return {
+                ...session,
+                eventCount: session.eventCount + (isEpisodeEnd ? 0 : 1),
+                recentAlerts: [alert, ...session.recentAlerts].slice(0, RECENT_ALERT_LIMIT)
+              };
+            }));
+          }
+          scheduleRefresh();
+        } else if (data.type === 'session') {
+          // Sessions starting, pausing or ending change which tiles are shown
+          scheduleRefresh();
+        }
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(refreshTimer);
+      realtime.close();
+    };
+  }, [examId]);
+
+  // Keep elapsed times ticking between refreshes
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const sorted = [...sessions].sort((a, b) => a.score - b.score);
+  const sinceFetch = (now - fetchedAt) / 1000;
+
+  return (
+    <div className="proctor-grid">
+      <header className="grid-header">
+        <div>
+          <h1>{exam ? exam.title : 'Proctor Grid'}</h1>
+          {examId && <span className="grid-subtitle">{sessions.length} active sessions &middot; riskiest first</span>}
+        </div>
+        <div className="grid-header-right">
+          {examId && (
+            <span className={`grid-connection ${connection}`}>{connection}</span>
+          )}
+          <span>{user.name}</span>
+          <button className="link-button" onClick={onLogout}>Sign out</button>
+        </div>
+      </header>
+
+      <main className="grid-content">
+        {!examId ? (
+          <ExamPicker basePath="/proctor" status="open" emptyMessage="No exams are open right now." />
+        ) : (
+          <>
+            {error && <div className="grid-message error">{error}</div>}
+            {sorted.length === 0 && !error ? (
+              <div className="grid-message">No active sessions for this exam.</div>
+            ) : (
+              <div className="session-grid">
+                {sorted.map(session => (
+                  <SessionTile
+                    key={session.sessionId}
+                    session={session}
+                    elapsed={session.status === 'active' ? session.elapsedSeconds + sinceFetch : session.elapsedSeconds}
+                  />
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ProctorGrid;
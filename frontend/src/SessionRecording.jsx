@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react';
+import { sessionApi } from './utils/api';
+import './SessionRecording.css';
+
+/**
+ * Jump to a position once the browser knows the video's layout
+ * @param {HTMLVideoElement} video
+ * @param {number} seconds
+ */
+const seekVideo = (video, seconds) => {
+  if (video.readyState < HTMLMediaElement.HAVE_METADATA) {
+    video.addEventListener('loadedmetadata', () => seekVideo(video, seconds), { once: true });
+    return;
+  }
+  video.currentTime = seconds;
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString();
+
+/**
+ * Plays back a session's webcam recording, one segment at a time.
+ * Segments are downloaded whole: MediaRecorder files carry no seek index, but a fully
+ * loaded blob can still be seeked to any position.
+ * @param {object} props
+ * @param {string} props.sessionId
+ * @param {Array<object>} props.segments - From GET /api/session/:sessionId/recording, oldest first
+ * @param {{ segmentId: string, offset: number }|null} props.playback - Segment and position (seconds) to show; a new object seeks again
+ * @param {function} props.onSelect - Called with a segmentId when the reviewer picks another segment
+ */
+const SessionRecording = ({ sessionId, segments, playback, onSelect }) => {
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const videoRef = useRef(null);
+
+  const segmentId = playback?.segmentId || segments[0]?.segmentId || null;
+
+  useEffect(() => {
+    if (!segmentId) return undefined;
+    let cancelled = false;
+    let url = null;
+
+    setLoading(true);
+    setError(null);
+    setVideoUrl(null);
+    sessionApi.recordingSegment(sessionId, segmentId)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setVideoUrl(url);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [sessionId, segmentId]);
+
+  // Applies a new seek request, or the pending one once its segment has loaded
+  useEffect(() => {
+    if (!videoUrl || !videoRef.current || typeof playback?.offset !== 'number') return;
+    seekVideo(videoRef.current, playback.offset);
+  }, [playback, videoUrl]);
+
+  return (
+    <div className="session-recording">
+      <video
+        ref={videoRef}
+        src={videoUrl || undefined}
+        controls
+        playsInline
+        className="candidate-video"
+      />
+      {(loading || error) && (
+        <div className={`recording-message${error ? ' error' : ''}`}>
+          {error || 'Loading recording...'}
+        </div>
+      )}
+      {segments.length > 1 && (
+        <div className="recording-segments">
+          {segments.map((segment, index) => (
+            <button
+              key={segment.segmentId}
+              className={segment.segmentId === segmentId ? 'active' : ''}
+              onClick={() => onSelect(segment.segmentId)}
+            >
+              Part {index + 1} &middot; {formatTime(segment.startedAt)} &ndash; {formatTime(segment.endedAt)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionRecording;
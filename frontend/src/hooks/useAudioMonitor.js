@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react';
+import { analyzeFrame, createVoiceDetector } from '../utils/voiceActivity';
+
+const FRAME_INTERVAL = 100;
+const FFT_SIZE = 2048;
+
+/**
+ * Listen to the microphone for speech while enabled. Audio is analyzed locally with the
+ * Web Audio API and never recorded or uploaded; only the resulting segments are reported.
+ * The microphone is opened separately from the webcam so the video recording stays silent.
+ * @param {boolean} enabled
+ * @param {object} options - The detection policy's audio section (read when monitoring starts)
+ * @param {object} callbacks
+ * @param {function} callbacks.onSegment - Called with each speech segment from createVoiceDetector()
+ * @param {function} [callbacks.onError] - Called with an Error if the microphone can't be opened
+ * @returns {{ flush: function }} flush() reports the running segment, e.g. before the session ends
+ */
+export const useAudioMonitor = (enabled, options, { onSegment, onError }) => {
+  const callbacksRef = useRef({ onSegment, onError });
+  const optionsRef = useRef(options);
+  const detectorRef = useRef(null);
+
+  useEffect(() => {
+    callbacksRef.current = { onSegment, onError };
+    optionsRef.current = options;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+    let stream = null;
+    let context = null;
+    let timer = null;
+
+    const start = async () => {
+      try {
+        // Browser noise suppression would hide exactly the background voices we look for
+        stream = await navigator.mediaDevices.getUserMedia({
+          audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+        });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        context = new AudioContext();
+        const analyser = context.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        context.createMediaStreamSource(stream).connect(analyser);
+
+        const samples = new Float32Array(analyser.fftSize);
+        const spectrum = new Float32Array(analyser.frequencyBinCount);
+        const detector = createVoiceDetector(optionsRef.current);
+        detectorRef.current = detector;
+
+        timer = setInterval(() => {
+          analyser.getFloatTimeDomainData(samples);
+          analyser.getFloatFrequencyData(spectrum);
+          const segment = detector.update(analyzeFrame(samples, spectrum, context.sampleRate), Date.now());
+          if (segment) callbacksRef.current.onSegment(segment);
+        }, FRAME_INTERVAL);
+      } catch (error) {
+        if (!cancelled) callbacksRef.current.onError?.(error);
+      }
+    };
+
+    start();
+
+    // A segment still running here is dropped; callers flush() first when they need it
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      detectorRef.current = null;
+      stream?.getTracks().forEach(track => track.stop());
+      context?.close().catch(() => {});
+    };
+  }, [enabled]);
+
+  const flush = () => {
+    const segment = detectorRef.current?.flush();
+    if (segment) callbacksRef.current.onSegment(segment);
+  };
+
+  return { flush };
+};
@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from 'react';
+import { authApi } from '../utils/api';
+
+/**
+ * Track the logged-in user (restored from the auth cookie on load)
+ * @returns {{ user: object|null, loading: boolean, login: function, register: function, logout: function }}
+ */
+export const useAuth = () => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    authApi.me()
+      .then(data => setUser(data.user))
+      .catch(() => setUser(null))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    const data = await authApi.login(email, password);
+    setUser(data.user);
+    return data.user;
+  }, []);
+
+  const register = useCallback(async (details) => {
+    const data = await authApi.register(details);
+    setUser(data.user);
+    return data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await authApi.logout().catch(() => {});
+    setUser(null);
+  }, []);
+
+  return { user, loading, login, register, logout };
+};
@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { getSessionToken } from '../utils/api';
+import { createRealtimeConnection } from '../utils/realtime';
+
+/**
+ * Receive proctor commands and session status changes for the candidate's active session.
+ * Connects with the session token, so it must be set before sessionId is.
+ * @param {string|null} sessionId - Active session, or null when there is none
+ * @param {function} onMessage - Called with each message ('intervention', 'session', ...)
+ * @returns {{ send: function }} Send a message to the server (e.g. an intervention 'ack')
+ */
+export const useCandidateChannel = (sessionId, onMessage) => {
+  const handlerRef = useRef(onMessage);
+  const connectionRef = useRef(null);
+
+  useEffect(() => {
+    handlerRef.current = onMessage;
+  });
+
+  useEffect(() => {
+    const token = getSessionToken();
+    if (!sessionId || !token) return undefined;
+
+    // Browsers can't set headers on WebSocket requests, so the token goes in the query string
+    const connection = createRealtimeConnection(`/ws/candidate?token=${encodeURIComponent(token)}`, {
+      onMessage: (message) => handlerRef.current?.(message)
+    });
+    connectionRef.current = connection;
+
+    return () => {
+      connection.close();
+      connectionRef.current = null;
+    };
+  }, [sessionId]);
+
+  const send = useCallback((message) => {
+    connectionRef.current?.send(message);
+  }, []);
+
+  return { send };
+};
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import { authApi } from '../utils/api';
+import { captureEnrollment } from '../utils/faceIdentity';
+
+/**
+ * Load the signed-in candidate's face enrollment and let them enroll if they haven't yet
+ * @param {boolean} enabled - Only when the recognition model is loaded and the user is a candidate
+ * @returns {{ enrollment: { enrolled: boolean, enrolledAt: string|null, descriptors: number[][] }|null,
+ *   error: string|null, enroll: function }}
+ */
+export const useFaceIdentity = (enabled) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+
+    authApi.faceEnrollment()
+      .then(({ enrolled, enrolledAt, descriptors }) => {
+        if (!cancelled) setEnrollment({ enrolled, enrolledAt, descriptors });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled]);
+
+  /**
+   * Capture reference descriptors from the webcam and store them on the server
+   * @param {HTMLVideoElement} video
+   * @param {number} scoreThreshold - Face detection threshold
+   */
+  const enroll = async (video, scoreThreshold) => {
+    const descriptors = await captureEnrollment(video, scoreThreshold);
+    const { enrolledAt } = await authApi.enrollFace(descriptors);
+    setEnrollment({ enrolled: true, enrolledAt, descriptors });
+    setError(null);
+  };
+
+  return { enrollment, error, enroll };
+};
@@ -0,0 +1,170 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Docked devtools shrink the viewport by at least this many pixels
+const DEVTOOLS_SIZE_THRESHOLD = 160;
+const DEVTOOLS_CHECK_INTERVAL = 2000;
+const RESIZE_DEBOUNCE = 1000;
+
+const isDevtoolsShortcut = (e) =>
+  e.key === 'F12' ||
+  ((e.ctrlKey || e.metaKey) && e.shiftKey && ['I', 'J', 'C'].includes(e.key.toUpperCase())) ||
+  (e.metaKey && e.altKey && ['I', 'J', 'C'].includes(e.key.toUpperCase()));
+
+const devtoolsLikelyOpen = () =>
+  window.outerWidth - window.innerWidth > DEVTOOLS_SIZE_THRESHOLD ||
+  window.outerHeight - window.innerHeight > DEVTOOLS_SIZE_THRESHOLD;
+
+/**
+ * Watch the candidate's browser for lockdown violations while a session is active:
+ * tab switches, focus loss, clipboard and context-menu use, devtools and leaving fullscreen.
+ * @param {object} options
+ * @param {boolean} options.enabled - Only listen while monitoring
+ * @param {boolean} [options.requireFullscreen] - Exam requires fullscreen
+ * @param {function} options.onViolation - Called with { type, message, severity, metadata }
+ * @returns {{ isFullscreen: boolean, requestFullscreen: function }}
+ */
+export const useLockdownMonitor = ({ enabled, requireFullscreen = false, onViolation }) => {
+  const [isFullscreen, setIsFullscreen] = useState(() => Boolean(document.fullscreenElement));
+  const handlerRef = useRef(onViolation);
+
+  // Always report through the latest callback without re-binding listeners
+  useEffect(() => {
+    handlerRef.current = onViolation;
+  });
+
+  const requestFullscreen = useCallback(async () => {
+    try {
+      await document.documentElement.requestFullscreen();
+      return true;
+    } catch (error) {
+      console.warn('Fullscreen request was rejected:', error);
+      return false;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const report = (type, message, severity, metadata = {}) => {
+      handlerRef.current?.({ type, message, severity, metadata });
+    };
+
+    let hiddenAt = null;
+    let blurredAt = null;
+    let devtoolsOpen = devtoolsLikelyOpen();
+    let resizeTimer = null;
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        hiddenAt = Date.now();
+      } else if (hiddenAt) {
+        const duration = Math.round((Date.now() - hiddenAt) / 1000);
+        report('tab_switch', `Left the exam tab for ${duration}s`, 'warning', { duration });
+        hiddenAt = null;
+      }
+    };
+
+    const handleBlur = () => {
+      blurredAt = Date.now();
+    };
+
+    const handleFocus = () => {
+      // A tab switch also blurs the window; it's already reported above
+      if (blurredAt && !hiddenAt) {
+        const duration = Math.round((Date.now() - blurredAt) / 1000);
+        if (duration > 0) {
+          report('focus_loss', `Exam window lost focus for ${duration}s`, 'warning', { duration });
+        }
+      }
+      blurredAt = null;
+    };
+
+    const handleClipboard = (e) => {
+      const length = e.type === 'paste'
+        ? (e.clipboardData?.getData('text') || '').length
+        : (window.getSelection()?.toString() || '').length;
+      report('copy_paste', `Clipboard ${e.type} detected`, 'warning', { action: e.type, length });
+    };
+
+    const handleContextMenu = () => {
+      report('context_menu', 'Context menu opened', 'info');
+    };
+
+    const handleKeyDown = (e) => {
+      if (isDevtoolsShortcut(e)) {
+        report('devtools_open', 'Developer tools shortcut pressed', 'error', { trigger: 'shortcut', key: e.key });
+      }
+    };
+
+    const handleKeyUp = (e) => {
+      if (e.key === 'PrintScreen') {
+        report('print_screen', 'Print Screen key pressed', 'warning');
+      }
+    };
+
+    const checkDevtools = () => {
+      const open = devtoolsLikelyOpen();
+      if (open && !devtoolsOpen) {
+        report('devtools_open', 'Developer tools appear to be open', 'error', {
+          trigger: 'window_size',
+          widthDelta: window.outerWidth - window.innerWidth,
+          heightDelta: window.outerHeight - window.innerHeight
+        });
+      }
+      devtoolsOpen = open;
+    };
+
+    const handleResize = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        report('window_resize', 'Exam window resized', 'info', {
+          width: window.innerWidth,
+          height: window.innerHeight
+        });
+        checkDevtools();
+      }, RESIZE_DEBOUNCE);
+    };
+
+    const handleFullscreenChange = () => {
+      const fullscreen = Boolean(document.fullscreenElement);
+      setIsFullscreen(fullscreen);
+      if (!fullscreen) {
+        report('fullscreen_exit', 'Left fullscreen mode', requireFullscreen ? 'error' : 'warning', {
+          required: requireFullscreen
+        });
+      }
+    };
+
+    const devtoolsInterval = setInterval(checkDevtools, DEVTOOLS_CHECK_INTERVAL);
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+    document.addEventListener('copy', handleClipboard);
+    document.addEventListener('cut', handleClipboard);
+    document.addEventListener('paste', handleClipboard);
+    document.addEventListener('contextmenu', handleContextMenu);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('resize', handleResize);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+
+    return () => {
+      clearInterval(devtoolsInterval);
+      clearTimeout(resizeTimer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+      document.removeEventListener('copy', handleClipboard);
+      document.removeEventListener('cut', handleClipboard);
+      document.removeEventListener('paste', handleClipboard);
+      document.removeEventListener('contextmenu', handleContextMenu);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('resize', handleResize);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    };
+  }, [enabled, requireFullscreen]);
+
+  return { isFullscreen, requestFullscreen };
+};
@@ -0,0 +1,148 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Thumbnails are evidence, not recordings; keep them small
+const THUMBNAIL_WIDTH = 640;
+const THUMBNAIL_QUALITY = 0.6;
+
+/**
+ * Whether the device has more than one display (Chromium's Window Management API;
+ * null where the browser doesn't expose it)
+ * @returns {boolean|null}
+ */
+const hasMultipleDisplays = () => (typeof window.screen.isExtended === 'boolean' ? window.screen.isExtended : null);
+
+/**
+ * Share the candidate's entire screen for the session and keep periodic thumbnails.
+ * Sharing a window or a tab instead of a whole screen is refused, and the candidate is asked again.
+ * @param {object} options
+ * @param {boolean} options.enabled - A session that requires screen sharing is running
+ * @param {boolean} [options.paused] - Stop taking thumbnails (the share itself is kept)
+ * @param {number} options.thumbnailIntervalMs
+ * @param {function} options.onEvent - Called with { type, message, severity, metadata, screenshot? }
+ * @returns {{ sharing: boolean, error: string|null, start: function(): Promise<boolean> }}
+ *   start() must be called from a click: browsers only open the screen picker on a user gesture
+ */
+export const useScreenShare = ({ enabled, paused = false, thumbnailIntervalMs, onEvent }) => {
+  const [sharing, setSharing] = useState(false);
+  const [error, setError] = useState(null);
+  const handlerRef = useRef(onEvent);
+  const streamRef = useRef(null);
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  });
+
+  const report = (type, message, severity, metadata = {}, screenshot) => {
+    handlerRef.current?.({ type, message, severity, metadata, ...(screenshot ? { screenshot } : {}) });
+  };
+
+  const stopStream = () => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+    setSharing(false);
+  };
+
+  const start = useCallback(async () => {
+    setError(null);
+    try {
+      const stream = await navigator.mediaDevices.getDisplayMedia({
+        video: { displaySurface: 'monitor' },
+        audio: false,
+        // Chromium hints: offer whole screens, and don't let the candidate switch the shared surface later
+        monitorTypeSurfaces: 'include',
+        surfaceSwitching: 'exclude',
+        selfBrowserSurface: 'exclude'
+      });
+      const [track] = stream.getVideoTracks();
+      const { displaySurface, width, height } = track.getSettings();
+
+      // Browsers that don't report the surface (older Firefox) are given the benefit of the doubt
+      if (displaySurface && displaySurface !== 'monitor') {
+        stream.getTracks().forEach(item => item.stop());
+        report('partial_screen_share', `Shared a ${displaySurface} instead of the entire screen`, 'error', { displaySurface });
+        setError('Please share your entire screen, not a window or a tab.');
+        return false;
+      }
+
+      track.addEventListener('ended', () => {
+        // Fired when the candidate clicks "Stop sharing", not when we stop the track ourselves
+        if (streamRef.current !== stream) return;
+        stopStream();
+        report('screen_share_stopped', 'Screen sharing stopped', 'error', {});
+      });
+
+      if (!videoRef.current) {
+        videoRef.current = document.createElement('video');
+        videoRef.current.muted = true;
+      }
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play().catch(() => {});
+      streamRef.current = stream;
+      setSharing(true);
+
+      report('screen_share_started', 'Screen sharing started', 'info', {
+        displaySurface: displaySurface || null,
+        width,
+        height,
+        multipleDisplays: hasMultipleDisplays()
+      });
+      return true;
+    } catch (err) {
+      // NotAllowedError: the candidate closed the picker or the browser blocked it
+      console.warn('Screen sharing failed:', err);
+      setError(err.name === 'NotAllowedError' ? 'Screen sharing was not allowed.' : err.message);
+      return false;
+    }
+  }, []);
+
+  // The share lasts for the session; stopping it ourselves isn't a violation
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return () => stopStream();
+  }, [enabled]);
+
+  // A second display could show material outside the shared screen
+  useEffect(() => {
+    if (!enabled || !sharing || typeof window.screen.addEventListener !== 'function') return undefined;
+
+    let reported = false;
+    const checkDisplays = () => {
+      const multiple = hasMultipleDisplays();
+      if (multiple && !reported) {
+        report('multiple_displays', 'More than one display is connected', 'warning', { multipleDisplays: true });
+      }
+      reported = Boolean(multiple);
+    };
+
+    checkDisplays();
+    // isExtended changes are announced through the screen's change event
+    window.screen.addEventListener('change', checkDisplays);
+    return () => window.screen.removeEventListener('change', checkDisplays);
+  }, [enabled, sharing]);
+
+  // Periodic thumbnails of the shared screen, stored as event evidence
+  useEffect(() => {
+    if (!enabled || !sharing || paused) return undefined;
+
+    const canvas = document.createElement('canvas');
+    const capture = () => {
+      const video = videoRef.current;
+      if (!video?.videoWidth) return;
+      const scale = Math.min(1, THUMBNAIL_WIDTH / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      report('screen_capture', 'Screen thumbnail', 'info', {
+        width: video.videoWidth,
+        height: video.videoHeight
+      }, canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY));
+    };
+
+    const interval = setInterval(capture, thumbnailIntervalMs);
+    return () => clearInterval(interval);
+  }, [enabled, sharing, paused, thumbnailIntervalMs]);
+
+  return { sharing, error, start };
+};
@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { sessionApi } from '../utils/api';
+
+// Well inside the server's idle timeout (SESSION_IDLE_TIMEOUT_MS) so a few missed beats don't matter
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Tell the server the candidate is still here while a session is running.
+ * The server abandons sessions that stop sending heartbeats (e.g. the tab was closed).
+ * @param {string|null} sessionId - Active session, or null when there is none
+ * @param {function} [onSessionEnded] - Called with the server's error when the session was ended elsewhere
+ */
+export const useSessionHeartbeat = (sessionId, onSessionEnded) => {
+  const endedRef = useRef(onSessionEnded);
+
+  useEffect(() => {
+    endedRef.current = onSessionEnded;
+  });
+
+  useEffect(() => {
+    if (!sessionId) return undefined;
+
+    const sendHeartbeat = () => {
+      sessionApi.heartbeat(sessionId).catch((error) => {
+        // 409: ended by a proctor, a termination rule or the idle sweeper
+        if (error.status === 409) {
+          endedRef.current?.(error);
+        }
+      });
+    };
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+    return () => clearInterval(interval);
+  }, [sessionId]);
+};
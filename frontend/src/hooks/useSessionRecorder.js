@@ -0,0 +1,109 @@
+import { useEffect, useRef } from 'react';
+import { getSessionToken, sessionApi } from '../utils/api';
+
+// Chunks are uploaded as they are recorded, so closing the tab loses at most one chunk
+const CHUNK_INTERVAL = 10000;
+// Roughly 135 MB per hour of webcam footage
+const VIDEO_BITS_PER_SECOND = 300000;
+const UPLOAD_RETRIES = 2;
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const createSegmentId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
+
+const supportedMimeType = () => (typeof MediaRecorder === 'undefined'
+  ? null
+  : MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null);
+
+/**
+ * Record the webcam while a session runs and upload the footage in chunks.
+ * Each run of the recorder is a separate segment: pausing or ending the session finishes
+ * the segment and resuming starts a new one, so footage always lines up with event timestamps.
+ * @param {string|null} sessionId - Active session, or null when there is none
+ * @param {boolean} active - Record only while true (e.g. not while paused)
+ * @param {function(): MediaStream|null} getStream - Returns the webcam stream to record
+ * @returns {{ stop: function(): Promise<void> }} stop() finishes the current segment and resolves once its chunks are uploaded
+ */
+export const useSessionRecorder = (sessionId, active, getStream) => {
+  const getStreamRef = useRef(getStream);
+  const stopRef = useRef(null);
+
+  useEffect(() => {
+    getStreamRef.current = getStream;
+  });
+
+  useEffect(() => {
+    if (!sessionId || !active) return undefined;
+
+    const mimeType = supportedMimeType();
+    const stream = getStreamRef.current();
+    if (!mimeType || !stream) {
+      console.warn('Session recording unavailable:', mimeType ? 'no webcam stream' : 'WebM recording not supported');
+      return undefined;
+    }
+
+    // Captured now: the last chunk is uploaded after the session (and its token) may be gone
+    const token = getSessionToken();
+    const segmentId = createSegmentId();
+    const startedAt = Date.now();
+    let nextIndex = 0;
+    let uploads = Promise.resolve();
+    let stopped = null;
+
+    const upload = async (blob, index, recordedAt) => {
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          await sessionApi.uploadRecordingChunk(sessionId, segmentId, index, blob, { startedAt, recordedAt }, token);
+          return;
+        } catch (error) {
+          // A 4xx (e.g. the session ended long ago) won't succeed on retry
+          if (attempt >= UPLOAD_RETRIES || (error.status >= 400 && error.status < 500)) {
+            console.error('Failed to upload recording chunk:', index, error);
+            return;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+        }
+      }
+    };
+
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+    recorder.ondataavailable = (event) => {
+      if (!event.data || event.data.size === 0) return;
+      const index = nextIndex;
+      const recordedAt = Date.now();
+      nextIndex += 1;
+      // Uploaded in order so the server always sees the segment's header chunk first
+      uploads = uploads.then(() => upload(event.data, index, recordedAt));
+    };
+    recorder.onerror = (event) => console.error('Session recording error:', event.error);
+    recorder.start(CHUNK_INTERVAL);
+
+    const stop = () => {
+      if (!stopped) {
+        stopped = new Promise((resolve) => {
+          if (recorder.state === 'inactive') {
+            resolve();
+            return;
+          }
+          // The final dataavailable fires before stop, so its upload is already queued
+          recorder.addEventListener('stop', resolve, { once: true });
+          recorder.stop();
+        }).then(() => uploads);
+      }
+      return stopped;
+    };
+    stopRef.current = stop;
+
+    return () => {
+      stop();
+      if (stopRef.current === stop) {
+        stopRef.current = null;
+      }
+    };
+  }, [sessionId, active]);
+
+  const stop = () => (stopRef.current ? stopRef.current() : Promise.resolve());
+
+  return { stop };
+};
@@ -1,10 +1,26 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
+import './App.css'
 import App from './App.jsx'
+import AuthGate from './AuthGate.jsx'
+import InterviewerDashboard from './InterviewerDashboard.jsx'
+import ProctorGrid from './ProctorGrid.jsx'
+import AnalyticsPage from './AnalyticsPage.jsx'
+
+// Minimal path-based routing; the backend serves index.html for every route
+const routes = {
+  '/interviewer': { Page: InterviewerDashboard, roles: ['proctor', 'admin'] },
+  '/proctor': { Page: ProctorGrid, roles: ['proctor', 'admin'] },
+  '/analytics': { Page: AnalyticsPage, roles: ['proctor', 'admin'] },
+}
+
+const { Page, roles } = routes[window.location.pathname] || { Page: App, roles: ['candidate', 'proctor', 'admin'] }
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthGate roles={roles} allowRegister={Page === App}>
+      {({ user, logout }) => <Page user={user} onLogout={logout} />}
+    </AuthGate>
   </StrictMode>,
 )
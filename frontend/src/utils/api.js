@@ -1,18 +1,29 @@
-// Base API configuration
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
+// Base API configuration (VITE_API_BASE_URL is the server origin, without the /api suffix)
+export const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000';
+const API_BASE_URL = `${API_BASE}/api`;
+
+// Scoped token returned when a session starts; it authorizes writes to that session only
+let sessionToken = null;
+
+export const setSessionToken = (token) => {
+  sessionToken = token;
+};
+
+export const getSessionToken = () => sessionToken;
 
 /**
  * Make an API request
- * @param {string} endpoint - The API endpoint (e.g., '/session/start')
+ * @param {string} endpoint - The API endpoint (e.g., '/session')
  * @param {object} options - Fetch options
  * @returns {Promise<object>} - The parsed JSON response
  */
 export const apiRequest = async (endpoint, options = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
-  
+
   // Set default headers
   const headers = {
     'Content-Type': 'application/json',
+    ...(sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}),
     ...options.headers,
   };
 
@@ -26,7 +37,9 @@ export const apiRequest = async (endpoint, options = {}) => {
     // Handle non-2xx responses
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new Error(error.message || 'Something went wrong');
+      const requestError = new Error(error.error || error.message || 'Something went wrong');
+      requestError.status = response.status;
+      throw requestError;
     }
 
     // Handle empty responses
@@ -42,16 +55,114 @@ export const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Auth API
+export const authApi = {
+  login: (email, password) => apiRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  }),
+  register: (data) => apiRequest('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+  logout: () => apiRequest('/auth/logout', {
+    method: 'POST',
+  }),
+  me: () => apiRequest('/auth/me', {
+    // Always identify with the account cookie, not the session token
+    headers: { Authorization: '' },
+  }),
+  // Reference face descriptors for identity checks
+  faceEnrollment: () => apiRequest('/auth/me/face'),
+  enrollFace: (descriptors) => apiRequest('/auth/me/face', {
+    method: 'PUT',
+    body: JSON.stringify({ descriptors }),
+  }),
+};
+
 // Session API
 export const sessionApi = {
-  start: (data) => apiRequest('/session/start', {
+  start: (data) => apiRequest('/session', {
     method: 'POST',
     body: JSON.stringify(data),
   }),
-  end: (sessionId) => apiRequest(`/session/${sessionId}/end`, {
+  end: (sessionId, data = {}) => apiRequest('/session/end', {
+    method: 'POST',
+    body: JSON.stringify({ sessionId, ...data }),
+  }),
+  heartbeat: (sessionId) => apiRequest('/session/heartbeat', {
+    method: 'POST',
+    body: JSON.stringify({ sessionId }),
+  }),
+  pause: (sessionId, reason) => apiRequest('/session/pause', {
+    method: 'POST',
+    body: JSON.stringify({ sessionId, reason }),
+  }),
+  resume: (sessionId) => apiRequest('/session/resume', {
+    method: 'POST',
+    body: JSON.stringify({ sessionId }),
+  }),
+  terminate: (sessionId, reason) => apiRequest('/session/terminate', {
     method: 'POST',
+    body: JSON.stringify({ sessionId, reason }),
   }),
   get: (sessionId) => apiRequest(`/session/${sessionId}`),
+  // Filters: examId, status, candidateName, startDate, endDate, limit, offset, sortBy, sortOrder
+  list: (params = {}) => apiRequest(`/session?${new URLSearchParams(params)}`),
+  // Proctor command to the candidate: 'warning' | 'recenter' | 'pause' | 'terminate'
+  intervene: (sessionId, action, message) => apiRequest(`/session/${sessionId}/intervene`, {
+    method: 'POST',
+    body: JSON.stringify({ action, message }),
+  }),
+  // One chunk of the webcam recording; the token is passed explicitly because the last
+  // chunk is uploaded while the session ends
+  uploadRecordingChunk: (sessionId, segmentId, index, blob, { startedAt, recordedAt }, token) => apiRequest(
+    `/session/${sessionId}/recording/${segmentId}/${index}?${new URLSearchParams({ startedAt, recordedAt })}`,
+    {
+      method: 'POST',
+      body: blob,
+      headers: {
+        'Content-Type': 'video/webm',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    }
+  ),
+  recording: (sessionId) => apiRequest(`/session/${sessionId}/recording`),
+  // Whole segment as a Blob; a fully loaded blob lets the player seek without byte-range support
+  recordingSegment: async (sessionId, segmentId) => {
+    const response = await fetch(`${API_BASE_URL}/session/${sessionId}/recording/${segmentId}`, {
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to load recording');
+    }
+    return response.blob();
+  },
+  // Plain URL so the browser can download the file with the auth cookie
+  reportUrl: (sessionId, format = 'pdf') => `${API_BASE_URL}/session/${sessionId}/report?format=${format}`,
+};
+
+// Exams API
+export const examsApi = {
+  list: (status) => apiRequest(`/exams${status ? `?status=${status}` : ''}`),
+  get: (examId) => apiRequest(`/exams/${encodeURIComponent(examId)}`),
+  // Running sessions with their live risk, riskiest first
+  live: (examId) => apiRequest(`/exams/${encodeURIComponent(examId)}/live`),
+  // Thresholds, intervals and object classes the detection loop applies
+  policy: (examId) => apiRequest(`/exams/${encodeURIComponent(examId)}/policy`),
+};
+
+// Analytics API; every endpoint also accepts the session filters status, candidateName, startDate and endDate
+const analyticsRequest = (examId, view, params = {}) => apiRequest(
+  `/analytics/exams/${encodeURIComponent(examId)}/${view}?${new URLSearchParams(params)}`
+);
+
+export const analyticsApi = {
+  overview: (examId, params) => analyticsRequest(examId, 'overview', params),
+  objects: (examId, params) => analyticsRequest(examId, 'objects', params),
+  timeline: (examId, params) => analyticsRequest(examId, 'timeline', params),
+  scores: (examId, params) => analyticsRequest(examId, 'scores', params),
 };
 
 // Events API
@@ -60,6 +171,12 @@ export const eventsApi = {
     method: 'POST',
     body: JSON.stringify(data),
   }),
+  // The token is passed explicitly because queued events may outlive the current session token
+  logBatch: (sessionId, events, token) => apiRequest('/events/batch', {
+    method: 'POST',
+    body: JSON.stringify({ sessionId, events }),
+    ...(token ? { headers: { Authorization: `Bearer ${token}` } } : {}),
+  }),
   getBySession: (sessionId) => apiRequest(`/events/session/${sessionId}`),
 };
 
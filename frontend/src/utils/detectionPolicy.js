@@ -0,0 +1,60 @@
+import { DEFAULT_HEAD_POSE_LIMITS } from './headPose';
+
+// Used until the exam's policy has been fetched, or if fetching it fails.
+// Mirrors backend/config/detectionPolicy.js.
+export const DEFAULT_DETECTION_POLICY = {
+  intervals: {
+    detectionMs: 1000,
+    screenshotCooldownMs: 10000
+  },
+  face: {
+    scoreThreshold: 0.5,
+    minFaceRatio: 0.1,
+    maxFaceRatio: 0.3
+  },
+  episodes: {
+    minDurationMs: 2000,
+    graceMs: 1500
+  },
+  identity: {
+    matchDistance: 0.6,
+    checkIntervalMs: 30000
+  },
+  headPose: DEFAULT_HEAD_POSE_LIMITS,
+  objects: {
+    scoreThreshold: 0.5,
+    forbidden: { classes: ['cell phone', 'book', 'laptop'], severity: 'error' },
+    suspicious: { classes: ['mouse', 'keyboard'], severity: 'warning' }
+  },
+  audio: {
+    enabled: false,
+    marginDb: 15,
+    minDurationMs: 800,
+    sustainedSpeechSeconds: 5
+  },
+  screen: {
+    enabled: false,
+    thumbnailIntervalMs: 60000
+  },
+  roomScan: {
+    required: false,
+    durationSeconds: 20
+  }
+};
+
+/**
+ * Decide how a detected object class is reported under a policy
+ * @param {object} policy
+ * @param {string} objectClass - COCO-SSD class name
+ * @returns {{ type: 'forbidden_object'|'suspicious_object', severity: string }|null} null if the object is ignored
+ */
+export const classifyObject = (policy, objectClass) => {
+  const { forbidden, suspicious } = policy.objects;
+  if (forbidden.classes.includes(objectClass)) {
+    return { type: 'forbidden_object', severity: forbidden.severity };
+  }
+  if (suspicious.classes.includes(objectClass)) {
+    return { type: 'suspicious_object', severity: suspicious.severity };
+  }
+  return null;
+};
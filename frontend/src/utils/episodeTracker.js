@@ -0,0 +1,87 @@
+const createEpisodeId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
+
+/**
+ * Groups continuous conditions (no face, multiple faces, an object in view...) seen on
+ * consecutive detection ticks into episodes, so one 30-second absence is reported once
+ * instead of on every tick.
+ *
+ * An episode is only reported once its condition has held for minDurationMs, and it ends
+ * once the condition has been gone for longer than graceMs (so a single missed frame
+ * doesn't split it in two).
+ *
+ * @param {object} options
+ * @param {number} options.minDurationMs - Default minimum duration before an episode is reported
+ * @param {number} options.graceMs - How long a condition may disappear without ending its episode
+ */
+export const createEpisodeTracker = ({ minDurationMs, graceMs }) => {
+  const open = new Map(); // key -> episode
+
+  const finish = (episode, endedAt) => ({
+    ...episode,
+    endedAt,
+    duration: Math.round((endedAt - episode.startedAt) / 1000)
+  });
+
+  return {
+    /**
+     * Feed the conditions seen on one detection tick
+     * @param {object} conditions - key -> { confidence?, minDurationMs?, ...payload } for every condition present
+     * @param {number} [now]
+     * @returns {{ started: Array<object>, ended: Array<object> }} Episodes that became reportable and reported episodes that ended
+     */
+    update(conditions, now = Date.now()) {
+      const started = [];
+      const ended = [];
+
+      Object.entries(conditions).forEach(([key, condition]) => {
+        let episode = open.get(key);
+        if (!episode) {
+          episode = { id: createEpisodeId(), key, startedAt: now, peakConfidence: null, reported: false };
+          open.set(key, episode);
+        }
+        episode.lastSeen = now;
+        episode.condition = condition;
+        if (typeof condition.confidence === 'number') {
+          episode.peakConfidence = Math.max(episode.peakConfidence ?? 0, condition.confidence);
+        }
+
+        const required = condition.minDurationMs ?? minDurationMs;
+        if (!episode.reported && now - episode.startedAt >= required) {
+          episode.reported = true;
+          started.push({ ...episode });
+        }
+      });
+
+      open.forEach((episode, key) => {
+        if (key in conditions || now - episode.lastSeen <= graceMs) return;
+        open.delete(key);
+        // Conditions that never lasted long enough are dropped silently
+        if (episode.reported) ended.push(finish(episode, episode.lastSeen));
+      });
+
+      return { started, ended };
+    },
+
+    /**
+     * Whether a condition is part of a reported, still-running episode
+     * @param {string} key
+     */
+    isReported(key) {
+      return Boolean(open.get(key)?.reported);
+    },
+
+    /**
+     * End every running episode, e.g. when monitoring pauses or the session ends
+     * @returns {Array<object>} Reported episodes that were still running
+     */
+    closeAll() {
+      const ended = [...open.values()]
+        .filter(episode => episode.reported)
+        .map(episode => finish(episode, episode.lastSeen));
+      open.clear();
+      return ended;
+    }
+  };
+};
@@ -0,0 +1,284 @@
+import { eventsApi, getSessionToken } from './api';
+
+const DB_NAME = 'proctoring-events';
+const STORE_NAME = 'events';
+// Events the server refused; kept on the device so the loss is recorded instead of silent
+const DROPPED_STORE_NAME = 'dropped';
+// Screenshots make events large; keep each batch well under the server's body limit
+const BATCH_SIZE = 20;
+const FLUSH_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+// Upload passes drainQueue() makes before giving up on a queue that keeps refilling
+const MAX_DRAIN_ROUNDS = 5;
+
+let dbPromise = null;
+// Used when IndexedDB is unavailable (e.g. some private browsing modes)
+const memoryQueue = new Map();
+const memoryDropped = new Map();
+const listeners = new Set();
+
+let flushing = null;
+let flushAgain = false;
+let flushTimer = null;
+let attempt = 0;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, 2);
+      request.onupgradeneeded = (event) => {
+        if (event.oldVersion < 1) {
+          request.result
+            .createObjectStore(STORE_NAME, { keyPath: 'clientEventId' })
+            .createIndex('queuedAt', 'queuedAt');
+        }
+        if (event.oldVersion < 2) {
+          request.result.createObjectStore(DROPPED_STORE_NAME, { keyPath: 'clientEventId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, queueing events in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const putRecord = async (record) => {
+  const db = await openDb();
+  if (db) {
+    try {
+      await requestResult(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(record));
+      return;
+    } catch (error) {
+      console.warn('Failed to persist queued event, keeping it in memory:', error);
+    }
+  }
+  memoryQueue.set(record.clientEventId, record);
+};
+
+const readRecords = async () => {
+  const db = await openDb();
+  const stored = db
+    ? await requestResult(db.transaction(STORE_NAME).objectStore(STORE_NAME).index('queuedAt').getAll())
+    : [];
+  return [...stored, ...memoryQueue.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+const countRecords = async () => {
+  const db = await openDb();
+  const [stored, dropped] = db
+    ? await Promise.all([STORE_NAME, DROPPED_STORE_NAME].map(name => requestResult(db.transaction(name).objectStore(name).count())))
+    : [0, 0];
+  return { pending: stored + memoryQueue.size, dropped: dropped + memoryDropped.size };
+};
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = resolve;
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const removeRecords = async (ids) => {
+  ids.forEach(id => memoryQueue.delete(id));
+  const db = await openDb();
+  if (!db) return;
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  ids.forEach(id => store.delete(id));
+  await transactionDone(transaction);
+};
+
+/**
+ * Move records the server refused out of the queue, keeping them with the reason
+ * @param {object[]} records
+ * @param {string} reason
+ */
+const dropRecords = async (records, reason) => {
+  if (records.length === 0) return;
+  console.error(`${records.length} queued events were refused by the server and kept as dropped:`, reason);
+  const dropped = records.map(record => ({ ...record, droppedAt: Date.now(), reason }));
+  const db = await openDb();
+  if (db) {
+    try {
+      const transaction = db.transaction([STORE_NAME, DROPPED_STORE_NAME], 'readwrite');
+      dropped.forEach((record) => {
+        transaction.objectStore(DROPPED_STORE_NAME).put(record);
+        transaction.objectStore(STORE_NAME).delete(record.clientEventId);
+      });
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn('Failed to persist dropped events, keeping them in memory:', error);
+      dropped.forEach(record => memoryDropped.set(record.clientEventId, record));
+    }
+  } else {
+    dropped.forEach(record => memoryDropped.set(record.clientEventId, record));
+  }
+  records.forEach(record => memoryQueue.delete(record.clientEventId));
+};
+
+const notify = async () => {
+  if (listeners.size === 0) return;
+  try {
+    const { pending, dropped } = await countRecords();
+    listeners.forEach(listener => listener(pending, dropped));
+  } catch (error) {
+    console.error('Failed to count queued events:', error);
+  }
+};
+
+const createEventId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
+
+// Network failures, timeouts, rate limiting and server errors are worth retrying;
+// anything else (bad payload, expired token, unknown session) would fail again
+const isRetryable = (error) => !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+const scheduleFlush = (delay) => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushEvents();
+  }, delay);
+};
+
+const drain = async () => {
+  if (!navigator.onLine) return false; // The 'online' listener resumes uploading
+
+  const records = await readRecords();
+  const bySession = records.reduce((groups, record) => {
+    groups.set(record.sessionId, [...(groups.get(record.sessionId) || []), record]);
+    return groups;
+  }, new Map());
+
+  for (const [sessionId, sessionRecords] of bySession) {
+    for (let i = 0; i < sessionRecords.length; i += BATCH_SIZE) {
+      const batch = sessionRecords.slice(i, i + BATCH_SIZE);
+      let response;
+      try {
+        response = await eventsApi.logBatch(sessionId, batch.map(record => record.event), batch[0].token);
+      } catch (error) {
+        if (isRetryable(error)) throw error;
+        await dropRecords(batch, error.message);
+        continue;
+      }
+
+      // The server reports each item; the ones it refused are kept as dropped
+      const refused = (response.results || []).filter(result => result.status === 'rejected' && batch[result.index]);
+      if (refused.length > 0) {
+        await dropRecords(refused.map(result => batch[result.index]), refused[0].error);
+      }
+      await removeRecords(batch.map(record => record.clientEventId));
+    }
+  }
+  return true;
+};
+
+/**
+ * Upload everything in the queue now. Concurrent calls share the running upload.
+ * @returns {Promise<boolean>} true if the queue was emptied
+ */
+export const flushEvents = () => {
+  if (flushing) {
+    flushAgain = true;
+    return flushing;
+  }
+
+  flushing = drain()
+    .then((drained) => {
+      if (drained) attempt = 0;
+      return drained;
+    })
+    .catch((error) => {
+      console.error('Failed to upload queued events:', error);
+      // 1s, 2s, 4s ... capped, with jitter so clients don't retry in lockstep
+      const delay = Math.min(1000 * 2 ** attempt, MAX_RETRY_DELAY) + Math.random() * 500;
+      attempt += 1;
+      scheduleFlush(delay);
+      return false;
+    })
+    .finally(() => {
+      flushing = null;
+      notify();
+      if (flushAgain) {
+        flushAgain = false;
+        scheduleFlush(FLUSH_DELAY);
+      }
+    });
+  return flushing;
+};
+
+/**
+ * Upload until the queue is empty, including events added while an earlier upload was running.
+ * Use before ending a session: flushEvents() alone may only wait for an upload that started earlier.
+ * @returns {Promise<boolean>} true if the queue was emptied
+ */
+export const drainQueue = async () => {
+  for (let round = 0; round < MAX_DRAIN_ROUNDS; round += 1) {
+    if (!(await flushEvents())) return false;
+    const { pending } = await countRecords();
+    if (pending === 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Store an event locally and upload it with the next batch.
+ * The generated clientEventId lets the server ignore events it already stored.
+ * @param {string} sessionId
+ * @param {object} event - Payload for POST /api/events/batch
+ * @returns {Promise<string>} The event's clientEventId
+ */
+export const enqueueEvent = async (sessionId, event) => {
+  const clientEventId = event.clientEventId || createEventId();
+  await putRecord({
+    clientEventId,
+    sessionId,
+    // Kept with the event so it can still be uploaded after the session ends or the page reloads
+    token: getSessionToken(),
+    queuedAt: Date.now(),
+    event: { ...event, clientEventId }
+  });
+  notify();
+  scheduleFlush(FLUSH_DELAY);
+  return clientEventId;
+};
+
+/**
+ * Subscribe to the number of events waiting to be uploaded and of events the server refused
+ * @param {function} listener - Called with (pendingCount, droppedCount)
+ * @returns {function} Unsubscribe
+ */
+export const subscribeQueue = (listener) => {
+  listeners.add(listener);
+  notify();
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Upload events left over from a previous page load and resume whenever the browser comes back online
+ * @returns {function} Stop listening
+ */
+export const startEventQueue = () => {
+  const handleOnline = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    flushEvents();
+  };
+
+  window.addEventListener('online', handleOnline);
+  flushEvents();
+  return () => window.removeEventListener('online', handleOnline);
+};
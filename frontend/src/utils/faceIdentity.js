@@ -0,0 +1,54 @@
+import * as faceapi from 'face-api.js';
+
+// Reference photos taken at enrollment; several angles of the same face match more reliably
+const ENROLLMENT_SAMPLES = 3;
+const ENROLLMENT_SAMPLE_DELAY = 700;
+const ENROLLMENT_MAX_ATTEMPTS = 10;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Compute the face descriptor of the most prominent face in a frame
+ * (requires faceRecognitionNet in /models)
+ * @param {HTMLVideoElement} input
+ * @param {number} scoreThreshold - Face detection threshold
+ * @returns {Promise<number[]|null>} 128 numbers, or null if no face was found
+ */
+export const describeFace = async (input, scoreThreshold) => {
+  const result = await faceapi
+    .detectSingleFace(input, new faceapi.TinyFaceDetectorOptions({ scoreThreshold }))
+    .withFaceLandmarks()
+    .withFaceDescriptor();
+  return result ? Array.from(result.descriptor) : null;
+};
+
+/**
+ * Capture the descriptors stored at enrollment
+ * @param {HTMLVideoElement} input
+ * @param {number} scoreThreshold
+ * @returns {Promise<number[][]>}
+ * @throws {Error} If no face could be seen for long enough
+ */
+export const captureEnrollment = async (input, scoreThreshold) => {
+  const descriptors = [];
+  for (let attempt = 0; attempt < ENROLLMENT_MAX_ATTEMPTS && descriptors.length < ENROLLMENT_SAMPLES; attempt++) {
+    const descriptor = await describeFace(input, scoreThreshold);
+    if (descriptor) descriptors.push(descriptor);
+    await delay(ENROLLMENT_SAMPLE_DELAY);
+  }
+  if (descriptors.length < ENROLLMENT_SAMPLES) {
+    throw new Error('Could not see your face clearly; face the camera in good light and try again');
+  }
+  return descriptors;
+};
+
+/**
+ * Distance from a live descriptor to the closest enrolled one (lower is more similar)
+ * @param {number[]} descriptor
+ * @param {number[][]} references
+ * @returns {number}
+ */
+export const closestDistance = (descriptor, references) => references.reduce(
+  (best, reference) => Math.min(best, faceapi.euclideanDistance(descriptor, reference)),
+  Infinity
+);
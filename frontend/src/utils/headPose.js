@@ -0,0 +1,122 @@
+// Landmark indices in the 68-point face-api.js model
+const JAW_LEFT = 0;
+const JAW_RIGHT = 16;
+const CHIN = 8;
+const NOSE_TIP = 30;
+const LEFT_EYE = [36, 37, 38, 39, 40, 41];
+const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+
+// Nose tip sits roughly this far down the eye-line-to-chin distance when facing the camera
+const NEUTRAL_PITCH_RATIO = 0.42;
+
+// Pupil offset (-1..1 across the eye) beyond which gaze counts as left/right
+const GAZE_OFFSET_THRESHOLD = 0.35;
+
+export const DEFAULT_HEAD_POSE_LIMITS = {
+  maxYawDegrees: 30,
+  maxPitchDegrees: 25,
+  lookingAwaySeconds: 3
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const toDegrees = (ratio) => Math.round(Math.asin(clamp(ratio, -1, 1)) * 180 / Math.PI);
+
+const centroid = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+/**
+ * Estimate head yaw and pitch from 68 face landmarks.
+ * This is a geometric approximation, not a full 3D pose solve: yaw compares the nose
+ * tip's distance to each side of the jaw, pitch compares its height between eyes and chin.
+ * @param {Array<{x: number, y: number}>} positions - landmarks.positions
+ * @returns {{ yaw: number, pitch: number }} Degrees; positive yaw is toward the image's right, positive pitch is down
+ */
+export const estimateHeadPose = (positions) => {
+  const nose = positions[NOSE_TIP];
+  const toLeft = Math.abs(nose.x - positions[JAW_LEFT].x);
+  const toRight = Math.abs(positions[JAW_RIGHT].x - nose.x);
+  const yaw = toDegrees((toLeft - toRight) / ((toLeft + toRight) || 1));
+
+  const eyeLine = (centroid(LEFT_EYE.map(i => positions[i])).y + centroid(RIGHT_EYE.map(i => positions[i])).y) / 2;
+  const faceHeight = (positions[CHIN].y - eyeLine) || 1;
+  const noseRatio = (nose.y - eyeLine) / faceHeight;
+  const pitch = toDegrees((noseRatio - NEUTRAL_PITCH_RATIO) / NEUTRAL_PITCH_RATIO);
+
+  return { yaw, pitch };
+};
+
+// Reused between frames to avoid allocating a canvas on every detection tick
+let sampleCanvas = null;
+
+/**
+ * Locate the pupil inside one eye as the darkness-weighted centre of the eye's bounding box
+ * @returns {number|null} Horizontal offset, -1 (image left) to 1 (image right)
+ */
+const pupilOffset = (ctx, source, eyePoints) => {
+  const xs = eyePoints.map(p => p.x);
+  const ys = eyePoints.map(p => p.y);
+  const x = Math.floor(Math.min(...xs));
+  const y = Math.floor(Math.min(...ys));
+  const width = Math.ceil(Math.max(...xs)) - x;
+  const height = Math.ceil(Math.max(...ys)) - y;
+  if (width < 4 || height < 2) return null;
+
+  sampleCanvas.width = width;
+  sampleCanvas.height = height;
+  ctx.drawImage(source, x, y, width, height, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  let weight = 0;
+  let weightedX = 0;
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const i = (row * width + col) * 4;
+      const darkness = 255 - (data[i] + data[i + 1] + data[i + 2]) / 3;
+      // Only the darkest pixels (iris/pupil) should pull the centre
+      const w = darkness * darkness;
+      weight += w;
+      weightedX += w * col;
+    }
+  }
+  if (weight === 0) return null;
+
+  return clamp((weightedX / weight) / (width - 1) * 2 - 1, -1, 1);
+};
+
+/**
+ * Rough horizontal gaze direction from the pupil position within both eyes
+ * @param {HTMLVideoElement} video - Frame the landmarks were detected on
+ * @param {Array<{x: number, y: number}>} positions - landmarks.positions
+ * @returns {{ offset: number, direction: 'left'|'center'|'right' }|null} null if the eyes couldn't be sampled
+ */
+export const estimateGaze = (video, positions) => {
+  if (!sampleCanvas) {
+    sampleCanvas = document.createElement('canvas');
+  }
+  const ctx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+  const offsets = [LEFT_EYE, RIGHT_EYE]
+    .map(indices => pupilOffset(ctx, video, indices.map(i => positions[i])))
+    .filter(offset => offset !== null);
+  if (offsets.length === 0) return null;
+
+  const offset = offsets.reduce((sum, o) => sum + o, 0) / offsets.length;
+  const direction = offset < -GAZE_OFFSET_THRESHOLD ? 'left' : offset > GAZE_OFFSET_THRESHOLD ? 'right' : 'center';
+  return { offset: Math.round(offset * 100) / 100, direction };
+};
+
+/**
+ * Decide whether a pose/gaze reading points away from the screen
+ * @param {{ yaw: number, pitch: number }} pose
+ * @param {{ direction: string }|null} gaze
+ * @param {object} [limits] - maxYawDegrees, maxPitchDegrees
+ * @returns {string|null} Reason ('head_turned', 'head_tilted', 'gaze_off_screen') or null when looking at the screen
+ */
+export const lookingAwayReason = (pose, gaze, limits = DEFAULT_HEAD_POSE_LIMITS) => {
+  if (Math.abs(pose.yaw) > limits.maxYawDegrees) return 'head_turned';
+  if (Math.abs(pose.pitch) > limits.maxPitchDegrees) return 'head_tilted';
+  if (gaze && gaze.direction !== 'center') return 'gaze_off_screen';
+  return null;
+};
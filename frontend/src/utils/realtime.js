@@ -0,0 +1,78 @@
+import { API_BASE } from './api';
+
+// WebSocket base URL derived from the API base (http -> ws, https -> wss)
+export const WS_BASE = API_BASE.replace(/^http/, 'ws');
+
+const MAX_RECONNECT_DELAY = 30000;
+const PING_INTERVAL = 25000;
+
+/**
+ * Open a WebSocket that reconnects with exponential backoff and keeps itself alive
+ * @param {string} path - Server path (e.g., '/ws/interviewer')
+ * @param {object} handlers
+ * @param {function} [handlers.onOpen] - Called on every (re)connect with the raw socket
+ * @param {function} [handlers.onMessage] - Called with each parsed message
+ * @param {function} [handlers.onStatus] - Called with 'connecting' | 'connected' | 'disconnected'
+ * @returns {{ send: function, close: function }}
+ */
+export const createRealtimeConnection = (path, { onOpen, onMessage, onStatus } = {}) => {
+  let ws = null;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let closed = false;
+
+  const send = (message) => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const connect = () => {
+    onStatus?.('connecting');
+    ws = new WebSocket(`${WS_BASE}${path}`);
+
+    ws.onopen = () => {
+      attempt = 0;
+      onStatus?.('connected');
+      pingTimer = setInterval(() => send({ type: 'ping' }), PING_INTERVAL);
+      onOpen?.(ws);
+    };
+
+    ws.onmessage = (event) => {
+      try {
+        onMessage?.(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid WebSocket message:', error);
+      }
+    };
+
+    ws.onclose = () => {
+      clearInterval(pingTimer);
+      onStatus?.('disconnected');
+      if (closed) return;
+
+      // 1s, 2s, 4s ... capped, with jitter so dashboards don't reconnect in lockstep
+      const delay = Math.min(1000 * 2 ** attempt, MAX_RECONNECT_DELAY) + Math.random() * 500;
+      attempt += 1;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    ws.onerror = () => {
+      // onclose follows and schedules the reconnect
+      ws.close();
+    };
+  };
+
+  connect();
+
+  return {
+    send,
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearInterval(pingTimer);
+      ws?.close();
+    }
+  };
+};
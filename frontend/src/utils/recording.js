@@ -0,0 +1,17 @@
+/**
+ * Find the recording segment that covers a moment of the session
+ * @param {Array<{ startedAt: string, endedAt: string }>} segments - From GET /api/session/:sessionId/recording
+ * @param {number} time - Epoch milliseconds, e.g. of an Event.timestamp
+ * @returns {object|null}
+ */
+export const segmentAt = (segments, time) => segments.find(segment => (
+  time >= new Date(segment.startedAt).getTime() && time <= new Date(segment.endedAt).getTime()
+)) || null;
+
+/**
+ * Seconds into a segment at which a moment of the session appears
+ * @param {{ startedAt: string }} segment
+ * @param {number} time - Epoch milliseconds
+ * @returns {number}
+ */
+export const segmentOffset = (segment, time) => Math.max(0, (time - new Date(segment.startedAt).getTime()) / 1000);
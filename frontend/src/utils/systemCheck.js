@@ -0,0 +1,128 @@
+import * as faceapi from 'face-api.js';
+import { API_BASE } from './api';
+
+// Average frame brightness (0-255) that detection works reliably in
+const MIN_BRIGHTNESS = 60;
+const MAX_BRIGHTNESS = 200;
+// A covered or washed-out camera gives an almost uniform frame
+const MIN_CONTRAST = 15;
+// Face center may be this far from the frame center, as a share of the frame size
+const MAX_FACE_OFFSET = 0.2;
+const LATENCY_SAMPLES = 3;
+const MAX_LATENCY_MS = 1000;
+const LATENCY_TIMEOUT_MS = 5000;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * The webcam stream is live and delivering frames
+ * @param {object} webcam - react-webcam instance
+ * @returns {{ passed: boolean, message: string, width?: number, height?: number }}
+ */
+export const checkCamera = (webcam) => {
+  const track = webcam?.stream?.getVideoTracks()[0];
+  const video = webcam?.video;
+  if (!track || track.readyState !== 'live' || !video?.videoWidth) {
+    return { passed: false, message: 'No camera image. Allow camera access in your browser and reload the page.' };
+  }
+  return { passed: true, message: `Camera ready (${video.videoWidth}x${video.videoHeight})`, width: video.videoWidth, height: video.videoHeight };
+};
+
+/**
+ * Frame brightness and contrast, measured on a downscaled copy of the current frame
+ * @param {HTMLVideoElement} video
+ * @returns {{ passed: boolean, message: string, brightness?: number, contrast?: number }}
+ */
+export const checkLighting = (video) => {
+  if (!video?.videoWidth) {
+    return { passed: false, message: 'No camera image to measure' };
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 160;
+  canvas.height = Math.round(160 * video.videoHeight / video.videoWidth);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  let sum = 0;
+  let sumSquares = 0;
+  const pixels = data.length / 4;
+  for (let i = 0; i < data.length; i += 4) {
+    // Rec. 601 luma
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    sum += luma;
+    sumSquares += luma * luma;
+  }
+  const brightness = sum / pixels;
+  const contrast = Math.sqrt(Math.max(0, sumSquares / pixels - brightness * brightness));
+  const measured = { brightness: Math.round(brightness), contrast: Math.round(contrast) };
+
+  if (brightness < MIN_BRIGHTNESS) {
+    return { passed: false, message: 'Too dark. Turn on a light or face a window.', ...measured };
+  }
+  if (brightness > MAX_BRIGHTNESS) {
+    return { passed: false, message: 'Too bright. Avoid direct light into the camera.', ...measured };
+  }
+  if (contrast < MIN_CONTRAST) {
+    return { passed: false, message: 'The image is nearly uniform. Is the camera covered?', ...measured };
+  }
+  return { passed: true, message: 'Lighting is good', ...measured };
+};
+
+/**
+ * Exactly one face, near the center of the frame
+ * @param {HTMLVideoElement} video
+ * @param {number} scoreThreshold - TinyFaceDetector score threshold from the detection policy
+ * @returns {Promise<{ passed: boolean, message: string, faces?: number, offsetX?: number, offsetY?: number }>}
+ */
+export const checkFace = async (video, scoreThreshold) => {
+  if (!video?.videoWidth) {
+    return { passed: false, message: 'No camera image to check' };
+  }
+
+  const detections = await faceapi.detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold }));
+  if (detections.length === 0) {
+    return { passed: false, message: 'No face detected. Look at the camera.', faces: 0 };
+  }
+  if (detections.length > 1) {
+    return { passed: false, message: 'More than one face detected. Make sure you are alone.', faces: detections.length };
+  }
+
+  const { box, score } = detections[0];
+  const offsetX = round((box.x + box.width / 2) / video.videoWidth - 0.5);
+  const offsetY = round((box.y + box.height / 2) / video.videoHeight - 0.5);
+  const measured = { faces: 1, offsetX, offsetY, score: round(score) };
+
+  if (Math.abs(offsetX) > MAX_FACE_OFFSET || Math.abs(offsetY) > MAX_FACE_OFFSET) {
+    return { passed: false, message: 'Move so your face is in the middle of the picture', ...measured };
+  }
+  return { passed: true, message: 'Face detected and centered', ...measured };
+};
+
+/**
+ * Round-trip time to the API (median of a few requests to the health endpoint)
+ * @returns {Promise<{ passed: boolean, message: string, latencyMs?: number }>}
+ */
+export const checkNetwork = async () => {
+  const samples = [];
+  try {
+    for (let i = 0; i < LATENCY_SAMPLES; i += 1) {
+      const started = performance.now();
+      const response = await fetch(`${API_BASE}/health`, {
+        cache: 'no-store',
+        signal: AbortSignal.timeout(LATENCY_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+      samples.push(performance.now() - started);
+    }
+  } catch (error) {
+    return { passed: false, message: `Cannot reach the server: ${error.message}` };
+  }
+
+  const latencyMs = Math.round(samples.sort((a, b) => a - b)[Math.floor(samples.length / 2)]);
+  if (latencyMs > MAX_LATENCY_MS) {
+    return { passed: false, message: `Connection is too slow (${latencyMs} ms)`, latencyMs };
+  }
+  return { passed: true, message: `Connected (${latencyMs} ms)`, latencyMs };
+};
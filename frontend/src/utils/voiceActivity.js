@@ -0,0 +1,187 @@
+// Everything here runs on raw microphone samples in the browser; no audio leaves the device
+
+// Most speech energy sits in the telephone band
+const SPEECH_BAND_HZ = [300, 3400];
+const ANALYSIS_BAND_HZ = [50, 8000];
+// Share of the frame's energy that must fall in the speech band (rules out hum, thumps and hiss)
+const MIN_SPEECH_BAND_RATIO = 0.5;
+// Quieter than this is never speech, however quiet the room is
+const MIN_SPEECH_DB = -55;
+// Voice pitch range searched for; covers adult and children's voices
+const PITCH_RANGE_HZ = [70, 400];
+const MIN_PITCH_CORRELATION = 0.5;
+// Background estimate drops quickly on silence but rises slowly, so speech doesn't become the new floor
+const NOISE_FLOOR_FALL = 0.5;
+const NOISE_FLOOR_RISE = 0.02;
+// A pause between words shorter than this doesn't end the speech segment
+const HANGOVER_MS = 700;
+// Long speech is reported in pieces so the proctor hears about it while it is going on
+const MAX_SEGMENT_MS = 30000;
+// Two voices: voiced frames fall into two pitch groups this far apart, each holding a fair share
+const MIN_VOICED_FRAMES = 20;
+const VOICE_SEPARATION_SEMITONES = 5;
+const MIN_VOICE_SHARE = 0.25;
+
+const toDb = (power) => (power > 0 ? 10 * Math.log10(power) : -100);
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const median = (values) => values[Math.floor(values.length / 2)];
+
+/**
+ * Fundamental frequency of a frame by autocorrelation
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number|null} Hz, or null for unvoiced frames
+ */
+const estimatePitch = (samples, sampleRate) => {
+  const minLag = Math.floor(sampleRate / PITCH_RANGE_HZ[1]);
+  const maxLag = Math.min(Math.floor(sampleRate / PITCH_RANGE_HZ[0]), samples.length - 1);
+  let energy = 0;
+  for (let i = 0; i < samples.length; i += 1) energy += samples[i] * samples[i];
+  if (energy === 0) return null;
+
+  let bestLag = null;
+  let bestCorrelation = 0;
+  for (let lag = minLag; lag <= maxLag; lag += 1) {
+    let correlation = 0;
+    for (let i = 0; i + lag < samples.length; i += 1) correlation += samples[i] * samples[i + lag];
+    correlation /= energy;
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+  return bestLag && bestCorrelation >= MIN_PITCH_CORRELATION ? sampleRate / bestLag : null;
+};
+
+/**
+ * Measure one frame of microphone input
+ * @param {Float32Array} samples - AnalyserNode.getFloatTimeDomainData()
+ * @param {Float32Array} spectrum - AnalyserNode.getFloatFrequencyData(), in dB per bin
+ * @param {number} sampleRate
+ * @returns {{ db: number, speechBandRatio: number, pitch: number|null }} db is the frame's RMS level in dBFS
+ */
+export const analyzeFrame = (samples, spectrum, sampleRate) => {
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i += 1) sumSquares += samples[i] * samples[i];
+
+  const binHz = sampleRate / (spectrum.length * 2);
+  let speechPower = 0;
+  let totalPower = 0;
+  for (let bin = 0; bin < spectrum.length; bin += 1) {
+    const hz = bin * binHz;
+    if (hz < ANALYSIS_BAND_HZ[0] || hz > ANALYSIS_BAND_HZ[1]) continue;
+    const power = 10 ** (spectrum[bin] / 10);
+    totalPower += power;
+    if (hz >= SPEECH_BAND_HZ[0] && hz <= SPEECH_BAND_HZ[1]) speechPower += power;
+  }
+
+  const db = toDb(sumSquares / samples.length);
+  return {
+    db,
+    speechBandRatio: totalPower > 0 ? speechPower / totalPower : 0,
+    // Autocorrelation is the expensive part; skip it for frames too quiet to be speech
+    pitch: db >= MIN_SPEECH_DB ? estimatePitch(samples, sampleRate) : null
+  };
+};
+
+/**
+ * Whether the pitch track of a speech segment looks like two different speakers.
+ * A heuristic: it separates voices of clearly different pitch (e.g. an adult coaching a
+ * teenager, or a man and a woman), not two similar voices.
+ * @param {number[]} pitches - Hz of every voiced frame
+ * @returns {boolean}
+ */
+export const hasMultipleVoices = (pitches) => {
+  if (pitches.length < MIN_VOICED_FRAMES) return false;
+  const semitones = pitches.map(hz => 12 * Math.log2(hz / 100)).sort((a, b) => a - b);
+  const minGroup = Math.ceil(semitones.length * MIN_VOICE_SHARE);
+
+  for (let split = minGroup; split <= semitones.length - minGroup; split += 1) {
+    const low = median(semitones.slice(0, split));
+    const high = median(semitones.slice(split));
+    // The groups must be apart as a whole, with a clear gap where they meet
+    if (high - low >= VOICE_SEPARATION_SEMITONES && semitones[split] - semitones[split - 1] >= 1) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Turns per-frame measurements into speech segments. The room's background level is
+ * tracked continuously, so a frame is speech when it is marginDb above it and most of its
+ * energy is in the speech band.
+ * @param {object} options - The detection policy's audio section
+ * @param {number} options.marginDb
+ * @param {number} options.minDurationMs - Shorter segments are dropped
+ * @param {number} options.sustainedSpeechSeconds
+ */
+export const createVoiceDetector = ({ marginDb, minDurationMs, sustainedSpeechSeconds }) => {
+  let noiseFloor = null;
+  let segment = null;
+
+  // Summarize a segment as an event; null if it was too short to report
+  const finish = (endedAt) => {
+    const current = segment;
+    segment = null;
+    if (!current || endedAt - current.startedAt < minDurationMs) return null;
+
+    const duration = round((endedAt - current.startedAt) / 1000);
+    const pitches = [...current.pitches].sort((a, b) => a - b);
+    const multipleVoices = hasMultipleVoices(pitches);
+    let type = 'speech_detected';
+    if (multipleVoices) type = 'multiple_voices';
+    else if (duration >= sustainedSpeechSeconds) type = 'sustained_speech';
+
+    return {
+      type,
+      startedAt: current.startedAt,
+      endedAt,
+      duration,
+      loudness: {
+        averageDb: round(current.dbSum / current.frames),
+        peakDb: round(current.peakDb),
+        backgroundDb: round(current.noiseFloor)
+      },
+      pitchHz: pitches.length ? Math.round(median(pitches)) : null
+    };
+  };
+
+  return {
+    /**
+     * Feed one analyzed frame
+     * @param {{ db: number, speechBandRatio: number, pitch: number|null }} frame - From analyzeFrame()
+     * @param {number} [now]
+     * @returns {object|null} A speech segment that just ended (or reached the maximum length)
+     */
+    update(frame, now = Date.now()) {
+      const floor = noiseFloor ?? frame.db;
+      const isSpeech = frame.db >= Math.max(floor + marginDb, MIN_SPEECH_DB) &&
+        frame.speechBandRatio >= MIN_SPEECH_BAND_RATIO;
+
+      if (!isSpeech) {
+        noiseFloor = floor + (frame.db - floor) * (frame.db < floor ? NOISE_FLOOR_FALL : NOISE_FLOOR_RISE);
+        return segment && now - segment.lastSpeech > HANGOVER_MS ? finish(segment.lastSpeech) : null;
+      }
+
+      if (!segment) {
+        segment = { startedAt: now, lastSpeech: now, frames: 0, dbSum: 0, peakDb: -100, pitches: [], noiseFloor: floor };
+      }
+      segment.lastSpeech = now;
+      segment.frames += 1;
+      segment.dbSum += frame.db;
+      segment.peakDb = Math.max(segment.peakDb, frame.db);
+      if (frame.pitch) segment.pitches.push(frame.pitch);
+
+      return now - segment.startedAt >= MAX_SEGMENT_MS ? finish(now) : null;
+    },
+
+    /**
+     * End the running segment, e.g. when monitoring pauses or the session ends
+     * @returns {object|null}
+     */
+    flush() {
+      return segment ? finish(segment.lastSpeech) : null;
+    }
+  };
+};
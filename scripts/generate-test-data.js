@@ -5,6 +5,7 @@ require('dotenv').config({ path: '../backend/.env.production' });
 // Import models
 const Session = require('../backend/models/Session');
 const Event = require('../backend/models/Event');
+const Exam = require('../backend/models/Exam');
 
 // Sample data
 const CANDIDATE_NAMES = [
@@ -94,7 +95,8 @@ async function generateTestData(numSessions = 10, maxEventsPerSession = 50) {
     // Clear existing data
     await Promise.all([
       Session.deleteMany({}),
-      Event.deleteMany({})
+      Event.deleteMany({}),
+      Exam.deleteMany({ examId: { $in: EXAM_IDS } })
     ]);
     console.log('Cleared existing test data');
 
@@ -102,6 +104,16 @@ async function generateTestData(numSessions = 10, maxEventsPerSession = 50) {
     const events = [];
     const now = new Date();
 
+    // Create the exams sessions refer to, with windows covering the generated sessions
+    await Exam.insertMany(EXAM_IDS.map(examId => ({
+      examId,
+      title: `${examId} Final Exam`,
+      startsAt: new Date(now.getTime() - 31 * 24 * 60 * 60 * 1000),
+      endsAt: new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000),
+      durationMinutes: 90
+    })));
+    console.log(`Saved ${EXAM_IDS.length} exams`);
+
     for (let i = 0; i < numSessions; i++) {
       const sessionId = uuidv4();
       const candidateName = CANDIDATE_NAMES[Math.floor(Math.random() * CANDIDATE_NAMES.length)];